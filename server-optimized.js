@@ -13,9 +13,17 @@ import dotenv from 'dotenv';
 
 // Services
 import { AgentService } from './services/agentService.js';
-import { SpeechService } from './services/speechService.js';
-import { SessionService } from './services/sessionService.js';
+import { SpeechService, STT_MODES } from './services/speechService.js';
+import { LID_MODES } from './services/languageId.js';
+import { SUPPORTED_LANGUAGES } from './services/languages.js';
+import { createSessionStore } from './services/sessionStore.js';
 import { CacheService } from './services/cacheService.js';
+import { VoiceStreamService } from './services/voiceStreamService.js';
+import { DEFAULT_PREFERENCES, PREFERENCE_OPTIONS, validatePreferences } from './services/sessionPreferences.js';
+import { TurnAudioStore, sendSpeech } from './services/audioDelivery.js';
+import { AUDIO_FORMAT_IDS, negotiateAudioFormat } from './services/audioFormats.js';
+import { isContextFree } from './services/faqMatcher.js';
+import { SPOKEN_PHRASES, getPhrase, listPhrases } from './services/commonPhrases.js';
 
 // Load environment variables
 dotenv.config();
@@ -29,10 +37,13 @@ const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Initialize services
-const agentService = new AgentService();
-const speechService = new SpeechService();
-const sessionService = new SessionService();
-const cacheService = new CacheService();
+const cacheService = new CacheService(); // Shares entries through Redis when REDIS_URL is set
+await cacheService.initialize();
+const speechService = new SpeechService({ ttsCache: cacheService });
+const sessionService = await createSessionStore(); // Redis when REDIS_URL is set, else in-memory
+const agentService = new AgentService({ threadStore: sessionService });
+const voiceStreamService = new VoiceStreamService({ speechService, agentService, sessionService });
+const turnAudio = new TurnAudioStore(); // Voice turns whose audio is fetched by URL
 
 // Performance monitoring
 const performanceMetrics = {
@@ -41,7 +52,8 @@ const performanceMetrics = {
     totalResponseTime: 0,
     languageStats: {},
     cacheHits: 0,
-    cacheMisses: 0
+    cacheMisses: 0,
+    faqHits: 0
 };
 
 // Configure multer for audio file uploads with optimization
@@ -66,8 +78,9 @@ app.use(compression({
     level: 6, // Balanced compression level
     threshold: 1024, // Only compress responses > 1KB
     filter: (req, res) => {
-        // Compress everything except audio responses
-        if (res.getHeader('Content-Type')?.includes('audio')) {
+        // Compress everything except audio and streamed (SSE) responses
+        const contentType = res.getHeader('Content-Type') || '';
+        if (contentType.includes('audio') || contentType.includes('text/event-stream')) {
             return false;
         }
         return compression.filter(req, res);
@@ -142,6 +155,37 @@ const rateLimitMiddleware = (req, res, next) => {
 
 app.use('/api/', rateLimitMiddleware);
 
+/**
+ * FAQ answers are shared across sessions, so only use them for questions that
+ * open a conversation and don't refer back to earlier turns. A FAQ hit skips
+ * the agent, so the agent thread starts with the user's next question.
+ */
+async function isFaqEligible(sessionId, message) {
+    if (!cacheService.config.faqEnabled || !isContextFree(message)) {
+        return false;
+    }
+    const history = await sessionService.getHistory(sessionId, { limit: 0 });
+    return !history || history.total === 0;
+}
+
+/**
+ * Language of a typed message, for the agent to answer in; null when unclear
+ */
+function getMessageLanguage(message) {
+    const detected = speechService.detectLanguageFromTextContent(message);
+    return detected.confidence > 0.7 ? detected.language : null;
+}
+
+/**
+ * Fixed phrase (commonPhrases.js) in the language of the user's message
+ */
+function getReplyPhrase(name, message) {
+    const language = typeof message === 'string' && message
+        ? speechService.detectLanguageFromTextContent(message).language
+        : undefined;
+    return getPhrase(name, language);
+}
+
 /**
  * Health Check Endpoint - Enhanced with metrics
  */
@@ -160,7 +204,7 @@ app.get('/api/health', async (req, res) => {
                 aiFoundry: await agentService.checkHealth()
             },
             metrics: {
-                activeSessions: sessionService.getActiveSessionCount(),
+                activeSessions: await sessionService.getActiveSessionCount(),
                 uptime: process.uptime(),
                 memoryUsage: process.memoryUsage(),
                 requestCount: performanceMetrics.requestCount,
@@ -195,9 +239,9 @@ app.get('/api/health', async (req, res) => {
  */
 app.post('/api/chat', async (req, res) => {
     const startTime = Date.now();
+    const { message, sessionId } = req.body;
     
     try {
-        const { message, sessionId } = req.body;
 
         if (!message || !sessionId) {
             return res.status(400).json({ 
@@ -206,27 +250,54 @@ app.post('/api/chat', async (req, res) => {
         }
 
         // Get or create session
-        let session = sessionService.getSession(sessionId);
-        
-        // Create new session if it doesn't exist
-        if (!session) {
-            session = sessionService.getOrCreateSession(sessionId);
-            // Create thread ID for Azure AI Foundry if not exists
-            if (!session.threadId) {
-                session.threadId = `thread_${Date.now()}_${Math.random().toString(36).substring(2, 15)}`;
-                sessionService.updateSession(sessionId, { threadId: session.threadId });
-            }
-        }
+        // (the agent service stores the real thread ID on the first turn)
+        await sessionService.getOrCreateSession(sessionId);
 
         // Check cache first
-        const cachedResponse = cacheService.getResponse(message, sessionId);
+        const cachedResponse = await cacheService.getResponse(message, sessionId);
         if (cachedResponse) {
             performanceMetrics.cacheHits++;
+            await sessionService.addTurn(sessionId, {
+                userText: message,
+                assistantText: cachedResponse.response,
+                language: speechService.detectLanguageFromTextContent(message).language,
+                modality: 'text',
+                startedAt: startTime,
+                sources: cachedResponse.sources,
+                cached: true
+            });
             console.log(`✅ Returning cached response (${Date.now() - startTime}ms)`);
             return res.json(cachedResponse);
         }
         performanceMetrics.cacheMisses++;
 
+        const preferences = await sessionService.getPreferences(sessionId);
+
+        // Check the shared FAQ cache for opening questions
+        const faqEligible = await isFaqEligible(sessionId, message);
+        const faqResponse = faqEligible
+            ? await cacheService.getFaqResponse(message, { responseLength: preferences.responseLength })
+            : null;
+        if (faqResponse) {
+            performanceMetrics.faqHits++;
+            await sessionService.addTurn(sessionId, {
+                userText: message,
+                assistantText: faqResponse.response,
+                language: speechService.detectLanguageFromTextContent(message).language,
+                modality: 'text',
+                startedAt: startTime,
+                sources: faqResponse.sources,
+                cached: true
+            });
+            console.log(`✅ Returning FAQ response (${Date.now() - startTime}ms)`);
+            return res.json({
+                response: faqResponse.response,
+                sources: faqResponse.sources,
+                sessionId,
+                cached: 'faq'
+            });
+        }
+
         console.log(`[Chat] Processing message for session ${sessionId}`);
 
         // Ensure agent service is initialized
@@ -237,22 +308,13 @@ app.post('/api/chat', async (req, res) => {
         // Send to agent with thread context
         const agentResult = await agentService.runAgentConversation(
             sessionId,
-            message
+            message,
+            { responseLength: preferences.responseLength, language: getMessageLanguage(message) }
         );
 
-        // Extract response from agent output
-        // Look for the most recent assistant response
-        let assistantResponse = null;
-        for (let i = agentResult.output.length - 1; i >= 0; i--) {
-            if (agentResult.output[i].startsWith('assistant:')) {
-                assistantResponse = agentResult.output[i].replace('assistant: ', '');
-                break;
-            }
-        }
-        
         const agentResponse = {
-            response: assistantResponse || 'I apologize, but I could not generate a response.',
-            sources: []
+            response: agentResult.response || getReplyPhrase('noResponse', message),
+            sources: agentResult.sources
         };
 
         // Update session
@@ -261,14 +323,28 @@ app.post('/api/chat', async (req, res) => {
             lastResponse: agentResponse.response
         });
 
+        // Record the turn in the conversation history
+        await sessionService.addTurn(sessionId, {
+            userText: message,
+            assistantText: agentResponse.response,
+            language: speechService.detectLanguageFromTextContent(message).language,
+            modality: 'text',
+            startedAt: startTime,
+            sources: agentResponse.sources
+        });
+
         const response = {
             response: agentResponse.response,
             sources: agentResponse.sources,
             sessionId: sessionId
         };
 
-        // Cache the response
-        cacheService.setResponse(message, sessionId, response);
+        // Cache the response (fallback answers are tagged and skipped)
+        const provenance = agentService.getProvenance(agentResult);
+        await cacheService.setResponse(message, sessionId, response, provenance);
+        if (faqEligible) {
+            await cacheService.setFaqResponse(message, { responseLength: preferences.responseLength }, response, provenance);
+        }
 
         console.log(`✅ Chat processed successfully (${Date.now() - startTime}ms)`);
         res.json(response);
@@ -278,14 +354,11 @@ app.post('/api/chat', async (req, res) => {
         
         // Provide fallback response if agent fails
         const fallbackResponse = {
-            response: 'I apologize, but I encountered an error processing your request. Please try again.',
+            response: getReplyPhrase('chatError', message),
             sources: [],
             sessionId: sessionId
         };
         
-        // Still cache even the error response to prevent repeated failures
-        cacheService.setResponse(message, sessionId, fallbackResponse);
-        
         res.status(500).json({ 
             error: 'Failed to process message',
             details: error.message,
@@ -294,17 +367,181 @@ app.post('/api/chat', async (req, res) => {
     }
 });
 
+/**
+ * Write a single Server-Sent Event to the response
+ */
+function sendSseEvent(res, event, data) {
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Streaming Text Chat Endpoint - Server-Sent Events
+ * Accepts message/sessionId from the query string (GET) or body (POST)
+ * Events: status, token, done, error
+ */
+const handleChatStream = async (req, res) => {
+    const startTime = Date.now();
+    const { message, sessionId } = req.method === 'GET' ? req.query : req.body;
+
+    if (!message || !sessionId) {
+        return res.status(400).json({ 
+            error: 'Message and sessionId are required' 
+        });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable nginx proxy buffering
+    });
+    res.flushHeaders?.();
+
+    // req 'close' fires once a POST body has been read; the response closing
+    // before it was ended means the client went away
+    let clientClosed = false;
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            clientClosed = true;
+        }
+    });
+
+    try {
+        // Get or create session
+        await sessionService.getOrCreateSession(sessionId);
+
+        // Serve cached responses as a single token
+        const cachedResponse = await cacheService.getResponse(message, sessionId);
+        if (cachedResponse) {
+            performanceMetrics.cacheHits++;
+            await sessionService.addTurn(sessionId, {
+                userText: message,
+                assistantText: cachedResponse.response,
+                language: speechService.detectLanguageFromTextContent(message).language,
+                modality: 'text',
+                startedAt: startTime,
+                sources: cachedResponse.sources,
+                cached: true
+            });
+            sendSseEvent(res, 'token', { text: cachedResponse.response });
+            sendSseEvent(res, 'done', { ...cachedResponse, cached: true, processingTime: Date.now() - startTime });
+            return res.end();
+        }
+        performanceMetrics.cacheMisses++;
+
+        const preferences = await sessionService.getPreferences(sessionId);
+
+        // Shared FAQ answers are also sent as a single token
+        const faqEligible = await isFaqEligible(sessionId, message);
+        const faqResponse = faqEligible
+            ? await cacheService.getFaqResponse(message, { responseLength: preferences.responseLength })
+            : null;
+        if (faqResponse) {
+            performanceMetrics.faqHits++;
+            await sessionService.addTurn(sessionId, {
+                userText: message,
+                assistantText: faqResponse.response,
+                language: speechService.detectLanguageFromTextContent(message).language,
+                modality: 'text',
+                startedAt: startTime,
+                sources: faqResponse.sources,
+                cached: true
+            });
+            sendSseEvent(res, 'token', { text: faqResponse.response });
+            sendSseEvent(res, 'done', {
+                response: faqResponse.response,
+                sources: faqResponse.sources,
+                sessionId,
+                cached: 'faq',
+                processingTime: Date.now() - startTime
+            });
+            return res.end();
+        }
+
+        console.log(`[ChatStream] Streaming message for session ${sessionId}`);
+
+        let result = null;
+        const runOptions = { responseLength: preferences.responseLength, language: getMessageLanguage(message) };
+        for await (const event of agentService.streamAgentConversation(sessionId, message, runOptions)) {
+            if (clientClosed) {
+                console.log(`[ChatStream] Client disconnected for session ${sessionId}`);
+                break;
+            }
+
+            if (event.type === 'status') {
+                sendSseEvent(res, 'status', { status: event.status });
+            } else if (event.type === 'delta') {
+                sendSseEvent(res, 'token', { text: event.text });
+            } else if (event.type === 'done') {
+                result = event;
+            }
+        }
+
+        if (!result) {
+            return res.end();
+        }
+
+        const response = {
+            response: result.response || getReplyPhrase('noResponse', message),
+            sources: result.sources || [],
+            sessionId: sessionId
+        };
+
+        await sessionService.updateSession(sessionId, {
+            lastMessage: message,
+            lastResponse: response.response
+        });
+
+        await sessionService.addTurn(sessionId, {
+            userText: message,
+            assistantText: response.response,
+            language: speechService.detectLanguageFromTextContent(message).language,
+            modality: 'text',
+            startedAt: startTime,
+            sources: response.sources
+        });
+
+        const provenance = agentService.getProvenance(result);
+        await cacheService.setResponse(message, sessionId, response, provenance);
+        if (faqEligible) {
+            await cacheService.setFaqResponse(message, { responseLength: preferences.responseLength }, response, provenance);
+        }
+
+        sendSseEvent(res, 'done', { ...response, processingTime: Date.now() - startTime });
+        console.log(`✅ Chat streamed successfully (${Date.now() - startTime}ms)`);
+        res.end();
+
+    } catch (error) {
+        console.error('Chat stream error:', error);
+        performanceMetrics.errorCount++;
+
+        if (!clientClosed) {
+            sendSseEvent(res, 'error', {
+                error: 'Failed to process message',
+                details: error.message,
+                sessionId: sessionId
+            });
+        }
+        res.end();
+    }
+};
+
+app.get('/api/chat/stream', handleChatStream);
+app.post('/api/chat/stream', handleChatStream);
+
 /**
  * Voice Chat Endpoint - Optimized with Caching
  */
 app.post('/api/voice', upload.single('audio'), async (req, res) => {
     const startTime = Date.now();
     let audioProcessed = false;
+    let detectedLanguage; // Also picks the language of the error reply
     
     try {
         // Extract audio and parameters
         const audioFile = req.file;
-        const { sessionId, returnAudio = 'true' } = req.body;
+        const { sessionId, returnAudio = 'true', sttMode, lidMode, audioFormat } = req.body;
 
         if (!audioFile || !sessionId) {
             return res.status(400).json({ 
@@ -312,14 +549,33 @@ app.post('/api/voice', upload.single('audio'), async (req, res) => {
             });
         }
 
+        if ((sttMode && !STT_MODES.includes(sttMode)) || (lidMode && !LID_MODES.includes(lidMode))) {
+            return res.status(400).json({
+                error: `sttMode must be one of ${STT_MODES.join(', ')}; lidMode one of ${LID_MODES.join(', ')}`
+            });
+        }
+
+        if (audioFormat && !AUDIO_FORMAT_IDS.includes(audioFormat)) {
+            return res.status(400).json({ error: `audioFormat must be one of: ${AUDIO_FORMAT_IDS.join(', ')}` });
+        }
+
         console.log(`[Voice] Processing ${audioFile.size} bytes for session ${sessionId}`);
 
+        // Session preferences drive the STT language and TTS voice
+        const preferences = await sessionService.getPreferences(sessionId) || DEFAULT_PREFERENCES;
+        const ttsFormat = negotiateAudioFormat({ requested: audioFormat, fallback: preferences.audioFormat });
+
         // Get audio hash for caching
         const audioHash = cacheService.getAudioHash(audioFile.buffer);
+        const sttOptions = {
+            language: preferences.preferredLanguage,
+            sttMode: sttMode || null,
+            lidMode: lidMode || null
+        };
 
         // Check cache for transcript
-        const cachedTranscript = cacheService.getTranscript(audioHash);
-        let transcript, detectedLanguage, confidence;
+        const cachedTranscript = await cacheService.getTranscript(audioHash, sttOptions);
+        let transcript, confidence, speech, segments;
 
         if (cachedTranscript) {
             performanceMetrics.cacheHits++;
@@ -327,30 +583,47 @@ app.post('/api/voice', upload.single('audio'), async (req, res) => {
             transcript = cachedTranscript.transcript;
             detectedLanguage = cachedTranscript.language;
             confidence = cachedTranscript.confidence;
+            speech = cachedTranscript.speech;
+            segments = cachedTranscript.segments;
         } else {
             performanceMetrics.cacheMisses++;
             
             // Convert speech to text with language detection
-            const sttResult = await speechService.speechToText(audioFile.buffer);
+            const sttResult = await speechService.speechToText(audioFile.buffer, {
+                language: sttOptions.language,
+                mode: sttMode,
+                lidMode
+            });
             
             if (sttResult.error) {
                 console.error('[Voice] STT Error:', sttResult.error);
-                return res.status(400).json({ 
+                // 415 for audio formats that can't be decoded
+                return res.status(sttResult.status || 400).json({ 
                     error: sttResult.error,
                     transcript: '',
-                    language: 'en-US'
+                    language: 'en-US',
+                    speech: sttResult.speech,
+                    response: getPhrase(sttResult.status === 415 ? 'voiceError' : 'notUnderstood', preferences.preferredLanguage)
                 });
             }
 
             transcript = sttResult.transcript;
             detectedLanguage = sttResult.language;
             confidence = sttResult.confidence;
+            speech = sttResult.speech;
+            segments = sttResult.segments;
 
-            // Cache the transcript
-            cacheService.setTranscript(audioHash, {
+            // Cache the transcript (empty recognitions are not cached)
+            await cacheService.setTranscript(audioHash, sttOptions, {
                 transcript,
                 language: detectedLanguage,
-                confidence
+                confidence,
+                speech,
+                segments
+            }, {
+                status: transcript ? 'ok' : 'empty',
+                source: 'stt:azure',
+                modelVersion: sttResult.method
             });
         }
 
@@ -361,20 +634,18 @@ app.post('/api/voice', upload.single('audio'), async (req, res) => {
             (performanceMetrics.languageStats[detectedLanguage] || 0) + 1;
 
         // Get session for context
-        let session = sessionService.getSession(sessionId);
-        
-        // Create new session if it doesn't exist
-        if (!session) {
-            session = sessionService.getOrCreateSession(sessionId);
-            // Create thread ID for Azure AI Foundry if not exists
-            if (!session.threadId) {
-                session.threadId = `thread_${Date.now()}_${Math.random().toString(36).substring(2, 15)}`;
-                sessionService.updateSession(sessionId, { threadId: session.threadId });
+        // (the agent service stores the real thread ID on the first turn)
+        await sessionService.getOrCreateSession(sessionId);
+
+        // Check cache for agent response, then the shared FAQ cache for opening questions
+        const faqEligible = await isFaqEligible(sessionId, transcript);
+        let cachedResponse = await cacheService.getResponse(transcript, sessionId);
+        if (!cachedResponse && faqEligible) {
+            cachedResponse = await cacheService.getFaqResponse(transcript, { responseLength: preferences.responseLength });
+            if (cachedResponse) {
+                performanceMetrics.faqHits++;
             }
         }
-
-        // Check cache for agent response
-        const cachedResponse = cacheService.getResponse(transcript, sessionId);
         let agentResponse;
 
         if (cachedResponse) {
@@ -392,30 +663,25 @@ app.post('/api/voice', upload.single('audio'), async (req, res) => {
             // Send to agent
             const agentResult = await agentService.runAgentConversation(
                 sessionId,
-                transcript
+                transcript,
+                { responseLength: preferences.responseLength, language: detectedLanguage }
             );
 
-            // Extract response from agent output
-            // Look for the most recent assistant response
-            let assistantResponse = null;
-            for (let i = agentResult.output.length - 1; i >= 0; i--) {
-                if (agentResult.output[i].startsWith('assistant:')) {
-                    assistantResponse = agentResult.output[i].replace('assistant: ', '');
-                    break;
-                }
-            }
-            
             agentResponse = {
-                response: assistantResponse || 'I apologize, but I could not generate a response.',
-                sources: []
+                response: agentResult.response || getPhrase('noResponse', detectedLanguage),
+                sources: agentResult.sources
             };
 
-            // Cache the response
-            cacheService.setResponse(transcript, sessionId, {
+            // Cache the response (fallback answers are tagged and skipped)
+            const provenance = agentService.getProvenance(agentResult);
+            await cacheService.setResponse(transcript, sessionId, {
                 response: agentResponse.response,
                 sources: agentResponse.sources,
                 sessionId
-            });
+            }, provenance);
+            if (faqEligible) {
+                await cacheService.setFaqResponse(transcript, { responseLength: preferences.responseLength }, agentResponse, provenance);
+            }
         }
 
         // Update session
@@ -425,6 +691,17 @@ app.post('/api/voice', upload.single('audio'), async (req, res) => {
             lastLanguage: detectedLanguage
         });
 
+        // Record the turn in the conversation history
+        const turn = await sessionService.addTurn(sessionId, {
+            userText: transcript,
+            assistantText: agentResponse.response,
+            language: detectedLanguage,
+            modality: 'voice',
+            startedAt: startTime,
+            sources: agentResponse.sources,
+            cached: Boolean(cachedResponse)
+        });
+
         // Prepare response
         const response = {
             transcript: transcript,
@@ -432,22 +709,40 @@ app.post('/api/voice', upload.single('audio'), async (req, res) => {
             sources: agentResponse.sources,
             detectedLanguage: detectedLanguage,
             confidence: confidence,
+            speech: speech,
+            segments: segments,
             sessionId: sessionId,
+            turnId: turn.id,
             processingTime: Date.now() - startTime
         };
 
+        // returnAudio=url: audio is synthesized when the client fetches it, streamed as binary
+        if (returnAudio === 'url') {
+            turnAudio.set(turn.id, {
+                text: agentResponse.response,
+                language: detectedLanguage,
+                gender: preferences.voiceGender,
+                rate: preferences.speakingRate,
+                pitch: preferences.pitch,
+                format: ttsFormat
+            });
+            response.audioUrl = `/api/voice/${turn.id}/audio`;
+        }
+
         // Generate audio response if requested
         if (returnAudio === 'true') {
             console.log('[Voice] Generating TTS audio...');
             
-            // Determine voice gender from session preferences or default
-            const voiceGender = session.userPreferences?.voiceGender || session.preferences?.voiceGender || 'female';
-            
             try {
                 const audioResponse = await speechService.textToSpeech(
                     agentResponse.response,
                     detectedLanguage,
-                    voiceGender
+                    preferences.voiceGender,
+                    {
+                        rate: preferences.speakingRate,
+                        pitch: preferences.pitch,
+                        format: ttsFormat
+                    }
                 );
 
                 // Check if audio was generated successfully
@@ -458,6 +753,7 @@ app.post('/api/voice', upload.single('audio'), async (req, res) => {
                         : audioResponse.audioData;
                         
                     response.audioResponse = base64Audio;
+                    response.audioMimeType = audioResponse.mimeType;
                     console.log(`✅ Audio generated: ${base64Audio.length} bytes`);
                 } else {
                     console.error('[Voice] TTS failed: No audio data');
@@ -478,7 +774,7 @@ app.post('/api/voice', upload.single('audio'), async (req, res) => {
             error: 'Failed to process voice',
             details: error.message,
             transcript: '',
-            response: 'I apologize, but I encountered an error processing your voice input. Please try again.'
+            response: getPhrase('voiceError', detectedLanguage)
         });
     } finally {
         // Log performance metrics
@@ -489,10 +785,337 @@ app.post('/api/voice', upload.single('audio'), async (req, res) => {
     }
 });
 
+/**
+ * Voice Turn Audio Endpoint
+ * Streams the spoken answer of a /api/voice turn made with returnAudio=url
+ * Format: ?format=, else the turn's format if the Accept header allows it
+ * Supports Range requests; URLs expire after 10 minutes
+ */
+app.get('/api/voice/:turnId/audio', async (req, res) => {
+    const speechRequest = turnAudio.get(req.params.turnId);
+    if (!speechRequest) {
+        return res.status(404).json({ error: 'Audio not found or expired' });
+    }
+
+    const { format } = req.query;
+    if (format && !AUDIO_FORMAT_IDS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of: ${AUDIO_FORMAT_IDS.join(', ')}` });
+    }
+
+    const negotiated = negotiateAudioFormat({ requested: format, accept: req.headers.accept, fallback: speechRequest.format });
+    if (!negotiated) {
+        return res.status(406).json({ error: 'No acceptable audio format', formats: AUDIO_FORMAT_IDS });
+    }
+
+    try {
+        await sendSpeech(req, res, speechService, { ...speechRequest, format: negotiated });
+    } catch (error) {
+        console.error('[TTS] Turn audio error:', error.message);
+        res.status(502).json({ error: 'Text-to-speech failed', details: error.message });
+    }
+});
+
+/**
+ * Speech-to-Text Endpoint
+ * Transcribes an audio upload without running the agent
+ * Fields: audio, language (auto or a code from languages.js; default the session's
+ * preferred language or auto), sessionId, sttMode, lidMode
+ */
+app.post('/api/stt', upload.single('audio'), async (req, res) => {
+    const startTime = Date.now();
+    const audioFile = req.file;
+    const { sessionId, language, sttMode, lidMode } = req.body;
+
+    if (!audioFile) {
+        return res.status(400).json({ error: 'Audio file is required' });
+    }
+    if (language && language !== 'auto' && !SUPPORTED_LANGUAGES.includes(language)) {
+        return res.status(400).json({ error: `language must be auto or one of: ${SUPPORTED_LANGUAGES.join(', ')}` });
+    }
+    if ((sttMode && !STT_MODES.includes(sttMode)) || (lidMode && !LID_MODES.includes(lidMode))) {
+        return res.status(400).json({
+            error: `sttMode must be one of ${STT_MODES.join(', ')}; lidMode one of ${LID_MODES.join(', ')}`
+        });
+    }
+
+    try {
+        const preferences = sessionId ? await sessionService.getPreferences(sessionId) : null;
+        const sttResult = await speechService.speechToText(audioFile.buffer, {
+            language: language || preferences?.preferredLanguage || 'auto',
+            mode: sttMode,
+            lidMode
+        });
+
+        if (sttResult.error) {
+            console.error('[STT] Error:', sttResult.error);
+            return res.status(sttResult.status || 400).json({
+                error: sttResult.error,
+                transcript: '',
+                language: 'en-US',
+                speech: sttResult.speech
+            });
+        }
+
+        performanceMetrics.languageStats[sttResult.language] =
+            (performanceMetrics.languageStats[sttResult.language] || 0) + 1;
+
+        res.json({
+            transcript: sttResult.transcript,
+            language: sttResult.language,
+            confidence: sttResult.confidence,
+            method: sttResult.method,
+            speech: sttResult.speech,
+            segments: sttResult.segments,
+            processingTime: Date.now() - startTime
+        });
+    } catch (error) {
+        console.error('[STT] Transcription error:', error);
+        res.status(500).json({ error: 'Failed to transcribe audio', details: error.message });
+    }
+});
+
+/**
+ * Text-to-Speech Endpoint
+ * Body: text, language (a code from languages.js or a locale of the voice catalog; default
+ * the named voice's locale, else en-US), sessionId (voice preferences), and
+ * optional voice (a voice name or 'female' | 'male'), speakingRate, pitch and
+ * format overrides (voiceGender and audioFormat are accepted as aliases)
+ * Without a format it is negotiated from the Accept header
+ * Streams binary audio as it is synthesized; supports Range requests
+ */
+const MAX_TTS_TEXT_LENGTH = 5000;
+
+app.post('/api/tts', async (req, res) => {
+    const { text, sessionId, voice, speakingRate, pitch } = req.body;
+    const audioFormat = req.body.format ?? req.body.audioFormat;
+    let voiceGender = req.body.voiceGender;
+
+    if (typeof text !== 'string' || !text.trim()) {
+        return res.status(400).json({ error: 'text is required' });
+    }
+    if (text.length > MAX_TTS_TEXT_LENGTH) {
+        return res.status(400).json({ error: `text must be at most ${MAX_TTS_TEXT_LENGTH} characters` });
+    }
+
+    // A named voice also sets the gender of the voices reading other-language spans
+    const namedVoice = voice !== undefined ? speechService.findVoice(voice) : null;
+    if (namedVoice) {
+        voiceGender = namedVoice.gender;
+    } else if (PREFERENCE_OPTIONS.voiceGender.includes(voice)) {
+        voiceGender = voice;
+    } else if (voice !== undefined) {
+        return res.status(400).json({ error: `Unknown voice: ${voice}`, voices: speechService.voiceCatalog.voices.map(entry => entry.name) });
+    }
+
+    const language = req.body.language ?? namedVoice?.locale ?? 'en-US';
+    const languages = [...new Set([...SUPPORTED_LANGUAGES, ...speechService.voiceCatalog.locales])];
+    if (!languages.includes(language)) {
+        return res.status(400).json({ error: `language must be one of: ${languages.join(', ')}` });
+    }
+
+    const overrides = Object.fromEntries(
+        Object.entries({ voiceGender, speakingRate, pitch, audioFormat }).filter(([, value]) => value !== undefined)
+    );
+    const { preferences: requested, errors } = validatePreferences(overrides);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid voice options', details: errors });
+    }
+
+    try {
+        const sessionPreferences = sessionId ? await sessionService.getPreferences(sessionId) : null;
+        const preferences = { ...(sessionPreferences || DEFAULT_PREFERENCES), ...requested };
+
+        const format = negotiateAudioFormat({
+            requested: requested.audioFormat,
+            accept: req.headers.accept,
+            fallback: preferences.audioFormat
+        });
+        if (!format) {
+            return res.status(406).json({ error: 'No acceptable audio format', formats: AUDIO_FORMAT_IDS });
+        }
+
+        await sendSpeech(req, res, speechService, {
+            text,
+            language,
+            gender: preferences.voiceGender,
+            voice: namedVoice?.name,
+            rate: preferences.speakingRate,
+            pitch: preferences.pitch,
+            format
+        });
+    } catch (error) {
+        console.error('[TTS] Error:', error.message);
+        res.status(502).json({ error: 'Text-to-speech failed', details: error.message });
+    }
+});
+
+/**
+ * Voices Endpoint
+ * Lists the TTS voices of the voice catalog with its locales and fallbacks
+ * Query: locale (voices used for it, after fallbacks; none and `resolved: null`
+ * for a locale without voices or a fallback), available=true to add the
+ * voices the Speech service offers (for that locale, or all)
+ */
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+app.get('/api/voices', async (req, res) => {
+    const { locale, available } = req.query;
+    if (locale !== undefined && !LOCALE_PATTERN.test(locale)) {
+        return res.status(400).json({ error: 'locale must be a language code such as ne-NP or hi-IN' });
+    }
+
+    const catalog = speechService.voiceCatalog;
+    const response = {
+        voices: catalog.list(locale),
+        locales: catalog.locales,
+        defaultLocale: catalog.defaultLocale,
+        fallbacks: catalog.getFallbacks()
+    };
+    if (locale) {
+        response.resolved = catalog.resolveLocale(locale);
+    }
+
+    if (available === 'true') {
+        try {
+            response.available = await speechService.listAvailableVoices(locale || '');
+        } catch (error) {
+            console.error('[TTS] Voice list error:', error.message);
+            return res.status(502).json({ error: 'Failed to list Speech service voices', details: error.message });
+        }
+    }
+
+    res.json(response);
+});
+
+/**
+ * Session Info Endpoint
+ */
+app.get('/api/session/:sessionId', async (req, res) => {
+    try {
+        const session = await sessionService.getSession(req.params.sessionId);
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        res.json({
+            sessionId: session.sessionId,
+            created: new Date(session.created).toISOString(),
+            lastActivity: new Date(session.lastActivity).toISOString(),
+            messageCount: session.conversationHistory.length,
+            preferences: session.userPreferences
+        });
+    } catch (error) {
+        console.error('[SESSION] Lookup error:', error.message);
+        res.status(500).json({ error: 'Failed to load session', details: error.message });
+    }
+});
+
+/**
+ * Session Preferences Endpoints
+ * Fields: preferredLanguage, voiceGender, speakingRate, pitch, audioFormat, responseLength
+ */
+app.get('/api/session/:sessionId/preferences', async (req, res) => {
+    try {
+        const preferences = await sessionService.getPreferences(req.params.sessionId);
+        if (!preferences) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        res.json({ sessionId: req.params.sessionId, preferences });
+    } catch (error) {
+        console.error('[SESSION] Preferences lookup error:', error.message);
+        res.status(500).json({ error: 'Failed to load preferences', details: error.message });
+    }
+});
+
+app.patch('/api/session/:sessionId/preferences', async (req, res) => {
+    const { sessionId } = req.params;
+    try {
+        if (!await sessionService.getSession(sessionId)) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        const { preferences, errors } = await sessionService.updatePreferences(sessionId, req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid preferences', details: errors });
+        }
+
+        res.json({ sessionId, preferences });
+    } catch (error) {
+        console.error('[SESSION] Preferences update error:', error.message);
+        res.status(500).json({ error: 'Failed to update preferences', details: error.message });
+    }
+});
+
+/**
+ * Conversation History Endpoint - Paginated, oldest turn first
+ * Query: offset (default 0), limit (default 20, max 100)
+ */
+app.get('/api/session/:sessionId/history', async (req, res) => {
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    try {
+        const history = await sessionService.getHistory(req.params.sessionId, { offset, limit });
+        if (!history) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        res.json({
+            sessionId: req.params.sessionId,
+            ...history
+        });
+    } catch (error) {
+        console.error('[SESSION] History lookup error:', error.message);
+        res.status(500).json({ error: 'Failed to load history', details: error.message });
+    }
+});
+
+/**
+ * Delete Session Endpoint - Removes the session and its agent thread
+ */
+app.delete('/api/session/:sessionId', async (req, res) => {
+    const { sessionId } = req.params;
+    try {
+        const session = await sessionService.getSession(sessionId);
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        await agentService.deleteThread(sessionId, session.threadId);
+        await sessionService.deleteSession(sessionId);
+
+        res.json({ sessionId, deleted: true });
+    } catch (error) {
+        console.error('[SESSION] Delete error:', error.message);
+        res.status(500).json({ error: 'Failed to delete session', details: error.message });
+    }
+});
+
+/**
+ * Reset Session Endpoint - Clears history and starts a fresh agent thread
+ */
+app.post('/api/session/:sessionId/reset', async (req, res) => {
+    const { sessionId } = req.params;
+    try {
+        const result = await sessionService.resetSession(sessionId);
+        if (!result) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        await agentService.deleteThread(sessionId, result.previousThreadId);
+
+        res.json({ sessionId, reset: true });
+    } catch (error) {
+        console.error('[SESSION] Reset error:', error.message);
+        res.status(500).json({ error: 'Failed to reset session', details: error.message });
+    }
+});
+
 /**
  * Performance Metrics Endpoint
  */
-app.get('/api/metrics', (req, res) => {
+app.get('/api/metrics', async (req, res) => {
     const avgResponseTime = performanceMetrics.requestCount > 0 
         ? performanceMetrics.totalResponseTime / performanceMetrics.requestCount 
         : 0;
@@ -511,6 +1134,7 @@ app.get('/api/metrics', (req, res) => {
         cache: {
             hits: performanceMetrics.cacheHits,
             misses: performanceMetrics.cacheMisses,
+            faqHits: performanceMetrics.faqHits,
             hitRate: performanceMetrics.cacheHits + performanceMetrics.cacheMisses > 0
                 ? performanceMetrics.cacheHits / (performanceMetrics.cacheHits + performanceMetrics.cacheMisses)
                 : 0,
@@ -519,7 +1143,7 @@ app.get('/api/metrics', (req, res) => {
         languages: performanceMetrics.languageStats,
         memory: process.memoryUsage(),
         sessions: {
-            active: sessionService.getActiveSessionCount()
+            active: await sessionService.getActiveSessionCount()
         }
     });
 });
@@ -527,13 +1151,17 @@ app.get('/api/metrics', (req, res) => {
 /**
  * Cache Management Endpoints
  */
-app.post('/api/cache/clear', (req, res) => {
-    cacheService.clearAll();
+app.post('/api/cache/clear', async (req, res) => {
+    await cacheService.clearAll();
     res.json({ message: 'Cache cleared successfully' });
 });
 
 app.get('/api/cache/stats', (req, res) => {
-    res.json(cacheService.getStats());
+    // ?entries=true lists recent entries per cache with their provenance
+    res.json(cacheService.getStats({
+        entries: req.query.entries === 'true',
+        limit: Math.min(parseInt(req.query.limit) || 50, 500)
+    }));
 });
 
 /**
@@ -578,8 +1206,11 @@ process.on('SIGTERM', async () => {
     console.log('SIGTERM received, shutting down gracefully...');
     
     // Close services
+    await voiceStreamService.close();
     await speechService.close?.();
     await agentService.close?.();
+    await sessionService.close();
+    await cacheService.close();
     
     // Close server
     server.close(() => {
@@ -605,12 +1236,20 @@ const server = app.listen(PORT, () => {
 ╚════════════════════════════════════════════════════════════════╝
     `);
     
+    // Full-duplex voice conversations share the HTTP server
+    voiceStreamService.attach(server);
+    
     // Initialize services
     Promise.all([
         speechService.initialize(),
         agentService.initialize()
     ]).then(() => {
         console.log('✅ All services initialized successfully');
+        
+        // Pre-synthesize the greeting, fallback and error replies with the default voice
+        if (process.env.TTS_WARMUP !== 'false') {
+            return speechService.warmUpTtsCache(listPhrases(SPOKEN_PHRASES), DEFAULT_PREFERENCES);
+        }
     }).catch(error => {
         console.error('⚠️ Service initialization warning:', error.message);
     });
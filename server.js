@@ -14,7 +14,7 @@ import dotenv from 'dotenv';
 // Services
 import { AgentService } from './services/agentService.js';
 import { SpeechService } from './services/speechService.js';
-import { SessionService } from './services/sessionService.js';
+import { createSessionStore } from './services/sessionStore.js';
 
 // Load environment variables
 dotenv.config();
@@ -28,9 +28,9 @@ const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Initialize services
-const agentService = new AgentService();
 const speechService = new SpeechService();
-const sessionService = new SessionService();
+const sessionService = await createSessionStore();
+const agentService = new AgentService({ threadStore: sessionService });
 
 // Configure multer for audio file uploads
 const upload = multer({
@@ -82,7 +82,7 @@ app.get('/api/health', async (req, res) => {
                 aiFoundry: await agentService.checkHealth()
             },
             metrics: {
-                activeSessions: sessionService.getActiveSessionCount(),
+                activeSessions: await sessionService.getActiveSessionCount(),
                 uptime: process.uptime(),
                 memoryUsage: process.memoryUsage()
             }
@@ -120,7 +120,7 @@ app.post('/api/chat', async (req, res) => {
         }
 
         // Get or create session
-        const session = sessionService.getOrCreateSession(sessionId);
+        const session = await sessionService.getOrCreateSession(sessionId);
         sessionId = session.sessionId;
 
         console.log(`[CHAT] Processing message for session ${sessionId}: "${message.substring(0, 50)}..."`);
@@ -131,22 +131,17 @@ app.post('/api/chat', async (req, res) => {
             message
         );
 
-        // Update session
-        session.threadId = agentResponse.threadId;
-        session.lastActivity = Date.now();
-        session.conversationHistory.push(
-            { role: 'user', content: message },
-            { role: 'assistant', content: agentResponse.output?.join('\n') }
-        );
+        const assistantReply = agentResponse.response;
 
-        // Only return the latest assistant reply
-        let assistantReply = "";
-        if (Array.isArray(agentResponse.output)) {
-            const lastLine = [...agentResponse.output].reverse().find(line => line.startsWith('assistant:'));
-            if (lastLine) {
-                assistantReply = lastLine.replace(/^assistant:/, '').trim();
-            }
-        }
+        // Record the turn in the session history
+        await sessionService.addTurn(sessionId, {
+            userText: message,
+            assistantText: assistantReply,
+            language: speechService.detectLanguageFromTextContent(message).language,
+            modality: 'text',
+            startedAt: startTime,
+            sources: agentResponse.sources
+        });
 
         const processingTime = Date.now() - startTime;
         console.log(`[CHAT] Response generated in ${processingTime}ms`);
@@ -154,7 +149,7 @@ app.post('/api/chat', async (req, res) => {
         // Send response (cleaned)
         res.json({
             response: assistantReply,
-            sources: [],
+            sources: agentResponse.sources,
             sessionId,
             processingTime
         });
@@ -183,7 +178,7 @@ app.post('/api/voice', upload.single('audio'), async (req, res) => {
         }
 
         // Get or create session
-        const session = sessionService.getOrCreateSession(sessionId);
+        const session = await sessionService.getOrCreateSession(sessionId);
         sessionId = session.sessionId;
 
         console.log(`[VOICE] Processing audio for session ${sessionId}, size: ${req.file.size} bytes`);
@@ -208,7 +203,7 @@ app.post('/api/voice', upload.single('audio'), async (req, res) => {
         // If there was an STT error but we want to continue
         if (sttResult.error && !sttResult.transcript) {
             console.log(`[VOICE] STT error: ${sttResult.error}`);
-            return res.status(400).json({
+            return res.status(sttResult.status || 400).json({
                 error: sttResult.error,
                 transcript: '',
                 response: '',
@@ -225,23 +220,18 @@ app.post('/api/voice', upload.single('audio'), async (req, res) => {
             sttResult.transcript
         );
 
-        // Extract the assistant's response from the output
-        let assistantReply = "";
-        if (Array.isArray(agentResponse.output)) {
-            const lastLine = [...agentResponse.output].reverse().find(line => line.startsWith('assistant:'));
-            if (lastLine) {
-                assistantReply = lastLine.replace(/^assistant:/, '').trim();
-            }
-        }
-
-        // Update session
-        session.threadId = agentResponse.threadId;
-        session.lastActivity = Date.now();
-        session.userPreferences.preferredLanguage = sttResult.language;
-        session.conversationHistory.push(
-            { role: 'user', content: sttResult.transcript },
-            { role: 'assistant', content: assistantReply }
-        );
+        const assistantReply = agentResponse.response;
+
+        // Update session and record the turn
+        await sessionService.updatePreferences(sessionId, { preferredLanguage: sttResult.language });
+        await sessionService.addTurn(sessionId, {
+            userText: sttResult.transcript,
+            assistantText: assistantReply,
+            language: sttResult.language,
+            modality: 'voice',
+            startedAt: startTime,
+            sources: agentResponse.sources
+        });
 
         // Step 3: Text-to-Speech (if requested)
         let audioResponse = null;
@@ -264,7 +254,9 @@ app.post('/api/voice', upload.single('audio'), async (req, res) => {
             audioResponse,
             detectedLanguage: sttResult.language,
             confidence: sttResult.confidence,
-            sources: [],
+            speech: sttResult.speech,
+            segments: sttResult.segments,
+            sources: agentResponse.sources,
             sessionId,
             processingTime
         });
@@ -283,9 +275,9 @@ app.post('/api/voice', upload.single('audio'), async (req, res) => {
  * Session Info Endpoint
  * Returns session details
  */
-app.get('/api/session/:sessionId', (req, res) => {
+app.get('/api/session/:sessionId', async (req, res) => {
     try {
-        const session = sessionService.getSession(req.params.sessionId);
+        const session = await sessionService.getSession(req.params.sessionId);
         if (!session) {
             return res.status(404).json({ error: 'Session not found' });
         }
@@ -351,9 +343,10 @@ app.listen(PORT, () => {
     });
 
     // Cleanup on shutdown
-    process.on('SIGINT', () => {
+    process.on('SIGINT', async () => {
         console.log('\n👋 Shutting down gracefully...');
-        sessionService.cleanup();
+        await sessionService.clearExpiredSessions();
+        await sessionService.close();
         process.exit(0);
     });
 });
@@ -1,125 +1,150 @@
 /**
- * AgentService - Azure GPT Agent Interface
- * Refactored for best practices and context7 compatibility
+ * AgentService - Conversational agent interface
+ * Delegates to a pluggable provider selected by AGENT_PROVIDER:
+ *   azure  - Azure AI Foundry agent (default)
+ *   openai - OpenAI-compatible chat completions endpoint
+ *   mock   - deterministic in-process backend for offline use
+ *
+ * Pass `threadStore` (a session service with getThreadId/setThreadId) to keep
+ * the session → agent thread mapping in the shared session store.
  */
-import { AIProjectClient } from '@azure/ai-projects';
-import { DefaultAzureCredential } from '@azure/identity';
+import { createAgentProvider } from './providers/index.js';
+import { getLanguageInstruction } from './languages.js';
+
+// Extra run instructions for the session's responseLength preference
+const RESPONSE_LENGTH_INSTRUCTIONS = {
+  short: 'Keep the answer brief: two or three sentences at most.',
+  medium: null,
+  detailed: 'Give a thorough, detailed answer and explain the relevant provisions.'
+};
 
 export class AgentService {
-  constructor() {
-    this.endpoint = process.env.AZURE_AGENT_ENDPOINT ||
-      'https://nepalreforms3-resource.services.ai.azure.com/api/projects/nepalreforms3';
-    this.agentId = process.env.AZURE_AGENT_ID || 'asst_x2664rofNILIIG8qlG76KPMB';
-    this.client = null;
+  constructor(options = {}) {
+    this.providerName = (options.provider || process.env.AGENT_PROVIDER || 'azure').toLowerCase();
+    this.provider = createAgentProvider(this.providerName, options);
     this.initialized = false;
-    this.threads = new Map(); // sessionId → threadId
   }
 
   async initialize() {
     if (this.initialized) return;
     try {
-      this.client = new AIProjectClient(this.endpoint, new DefaultAzureCredential());
-      await this.checkHealth();
+      await this.provider.initialize();
       this.initialized = true;
-      console.log('✅ AgentService initialized');
+      console.log(`✅ AgentService initialized (provider: ${this.providerName})`);
     } catch (error) {
       console.error('❌ Initialization error:', error);
       throw error;
     }
   }
 
-  async runAgentConversation(sessionId = null, userMessage = "Hi NRAI-Kancha") {
+  /**
+   * Run one conversational turn
+   * @param {Object} options - Per-turn options ({ responseLength, language })
+   * @returns {Promise<import('./providers/agentResult.js').AgentResult>}
+   */
+  async runAgentConversation(sessionId = null, userMessage = "Hi NRAI-Kancha", options = {}) {
     await this.initialize();
     try {
-      // Retrieve agent
-      const agent = await this.client.agents.getAgent(this.agentId);
-      console.log(`Retrieved agent: ${agent.name}`);
-
-      // Thread by session
-      let thread;
-      if (sessionId && this.threads.has(sessionId)) {
-        thread = { id: this.threads.get(sessionId) };
-      } else {
-        thread = await this.client.agents.threads.create();
-        if (sessionId) this.threads.set(sessionId, thread.id);
-        console.log(`Created thread, ID: ${thread.id}`);
-      }
-
-      // Post user message
-      const message = await this.client.agents.messages.create(thread.id, "user", userMessage);
-      console.log(`Created message, ID: ${message.id}`);
-
-      // Create run
-      let run = await this.client.agents.runs.create(thread.id, agent.id);
-      // Poll run status
-      while (run.status === "queued" || run.status === "in_progress") {
-        await new Promise((resolve) => setTimeout(resolve, 1000));
-        run = await this.client.agents.runs.get(thread.id, run.id);
-      }
-      if (run.status === "failed") {
-        console.error(`Run failed: `, run.lastError);
-        throw new Error(run.lastError?.message || 'Agent run failed');
-      }
-      console.log(`Run completed with status: ${run.status}`);
-
-      // Retrieve messages in descending order to get the latest first
-      const messages = await this.client.agents.messages.list(thread.id, { order: "desc" });
-      console.log(`[DEBUG] Retrieving messages from thread ${thread.id}`);
-      const output = [];
-      let foundLatestAssistant = false;
-      
-      for await (const m of messages) {
-        const content = m.content.find((c) => c.type === "text" && "text" in c);
-        if (content) {
-          // Add to output array
-          output.push(`${m.role}: ${content.text.value}`);
-          
-          // Stop after finding the latest assistant response and user message
-          if (m.role === "assistant" && !foundLatestAssistant) {
-            foundLatestAssistant = true;
-            // Continue to also get the user message that triggered this response
-          } else if (foundLatestAssistant && m.role === "user") {
-            // We've got both the latest assistant response and the user message
-            break;
-          }
-        }
-      }
-      
-      // Reverse the output to maintain chronological order (user first, then assistant)
-      output.reverse();
-      
-      console.log(`[DEBUG] Latest conversation (${output.length} messages):`);
-      output.forEach((msg, idx) => {
-        const preview = msg.substring(0, 100) + (msg.length > 100 ? '...' : '');
-        console.log(`  [${idx}] ${preview}`);
-      });
-      
-      return {
-        status: run.status,
-        output,
-        threadId: thread.id,
-        agentId: agent.id
-      };
+      return await this.provider.runConversation(sessionId, userMessage, this.buildRunOptions(options));
     } catch (error) {
       console.error("Agent conversation error:", error);
       throw error;
     }
   }
 
+  /**
+   * Stream an agent run as it is generated.
+   * Yields `status` events for run state transitions, `delta` events for
+   * assistant text fragments and a final `done` event with the full response.
+   * Providers without native streaming are replayed as a single delta.
+   */
+  async *streamAgentConversation(sessionId = null, userMessage = "Hi NRAI-Kancha", options = {}) {
+    await this.initialize();
+    const runOptions = this.buildRunOptions(options);
+
+    if (typeof this.provider.streamConversation === 'function') {
+      yield* this.provider.streamConversation(sessionId, userMessage, runOptions);
+      return;
+    }
+
+    yield { type: 'status', status: 'in_progress' };
+    const result = await this.provider.runConversation(sessionId, userMessage, runOptions);
+    yield { type: 'delta', text: result.response };
+    yield { type: 'status', status: result.status };
+    yield { type: 'done', ...result };
+  }
+
+  /**
+   * Translate per-turn options into provider run options
+   * `language` is the language of the user's message; the agent is told to answer in it
+   */
+  buildRunOptions({ responseLength, language } = {}) {
+    const instructions = [
+      language ? getLanguageInstruction(language) : null,
+      RESPONSE_LENGTH_INSTRUCTIONS[responseLength]
+    ].filter(Boolean);
+
+    return {
+      additionalInstructions: instructions.length > 0 ? instructions.join('\n') : null
+    };
+  }
+
+  /**
+   * Describe where a result came from, for tagging cache entries
+   * Only completed runs with a non-empty response are marked 'ok'.
+   * @param {Object} result - AgentResult or stream `done` event
+   * @returns {Object} { status, source, modelVersion }
+   */
+  getProvenance(result = {}) {
+    let status = 'ok';
+    if (result.status !== 'completed') {
+      status = result.status || 'failed';
+    } else if (!result.response) {
+      status = 'empty';
+    }
+
+    const versions = [...new Set([result.agentId, result.model].filter(Boolean))];
+    return {
+      status,
+      source: `agent:${this.providerName}`,
+      modelVersion: versions.join('/') || null
+    };
+  }
+
   async checkHealth() {
     try {
-      const agents = await this.client.agents.listAgents({ limit: 1 });
-      return true;
+      return await this.provider.checkHealth();
     } catch (error) {
       console.error("Agent health check failed:", error);
       return false;
     }
   }
 
+  /**
+   * Drop the agent thread for a session (on session reset or delete)
+   * @param {string} sessionId - Session ID
+   * @param {string} threadId - Thread ID stored in the session, if any
+   */
+  async deleteThread(sessionId, threadId = null) {
+    try {
+      await this.provider.deleteThread?.(sessionId, threadId);
+      return true;
+    } catch (error) {
+      // The session is cleared either way; an orphaned thread is harmless
+      console.error(`[AgentService] Failed to delete thread for session ${sessionId}:`, error.message);
+      return false;
+    }
+  }
+
   clearThreadCache() {
-    this.threads.clear();
+    this.provider.clearThreadCache?.();
     console.log('[AgentService] Thread cache cleared');
   }
+
+  async close() {
+    await this.provider.close?.();
+    this.initialized = false;
+  }
 }
 
-export default AgentService;
\ No newline at end of file
+export default AgentService;
@@ -0,0 +1,166 @@
+/**
+ * Audio Delivery
+ * Sends synthesized speech as binary HTTP responses instead of base64 inside JSON:
+ * - Streamed (chunked) while it is synthesized, so playback can start before
+ *   synthesis finishes
+ * - As a complete buffer with Range support (206) when the client asks for a
+ *   byte range, as media elements do to probe and seek
+ *
+ * TurnAudioStore keeps what to synthesize for a voice turn, so the voice
+ * response can return a URL and the audio is produced when it is fetched.
+ */
+
+export class TurnAudioStore {
+    /**
+     * @param {Object} options
+     * @param {number} options.ttl - How long a turn's audio URL stays valid (ms)
+     * @param {number} options.maxEntries - Oldest turns are dropped beyond this
+     */
+    constructor(options = {}) {
+        this.ttl = options.ttl || 10 * 60 * 1000;
+        this.maxEntries = options.maxEntries || 1000;
+        this.entries = new Map();
+    }
+
+    /**
+     * Remember the speech request for a turn
+     * @param {string} turnId - Turn ID from the conversation history
+     * @param {Object} request - { text, language, gender, rate, pitch, format }
+     */
+    set(turnId, request) {
+        this.prune();
+        this.entries.set(turnId, { request, expires: Date.now() + this.ttl });
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * @returns {Object|null} Speech request, or null if unknown or expired
+     */
+    get(turnId) {
+        const entry = this.entries.get(turnId);
+        if (!entry) return null;
+
+        if (entry.expires < Date.now()) {
+            this.entries.delete(turnId);
+            return null;
+        }
+        return entry.request;
+    }
+
+    prune() {
+        const now = Date.now();
+        for (const [turnId, entry] of this.entries) {
+            if (entry.expires < now) {
+                this.entries.delete(turnId);
+            }
+        }
+    }
+}
+
+/**
+ * Parse a single-range Range header
+ * Multiple ranges are not supported and get the whole body.
+ * @param {string} header - Range header value
+ * @param {number} size - Body size in bytes
+ * @returns {Object|null} { start, end } (inclusive), { unsatisfiable: true }, or null for the whole body
+ */
+export function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header?.trim() || '');
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        // Suffix range: the last N bytes
+        start = Math.max(0, size - parseInt(match[2], 10));
+        end = size - 1;
+    } else {
+        start = parseInt(match[1], 10);
+        end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    }
+
+    if (start >= size || start > end) {
+        return { unsatisfiable: true };
+    }
+    return { start, end };
+}
+
+/**
+ * Send complete audio, honouring a Range header
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Buffer} audio - Audio data
+ * @param {string} mimeType - Content type
+ */
+export function sendAudio(req, res, audio, mimeType) {
+    res.setHeader('Content-Type', mimeType);
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('Cache-Control', 'private, max-age=600');
+
+    const range = parseRange(req.headers.range, audio.length);
+
+    if (range?.unsatisfiable) {
+        res.setHeader('Content-Range', `bytes */${audio.length}`);
+        return res.status(416).end();
+    }
+
+    if (range) {
+        res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${audio.length}`);
+        res.setHeader('Content-Length', range.end - range.start + 1);
+        return res.status(206).end(audio.subarray(range.start, range.end + 1));
+    }
+
+    res.setHeader('Content-Length', audio.length);
+    res.status(200).end(audio);
+}
+
+/**
+ * Synthesize speech into an HTTP response
+ * Without a Range header, audio is written as it is synthesized; with one, it
+ * is synthesized (or read from the TTS cache) completely and the range is sent.
+ * Synthesis errors before any audio was written are thrown, so the caller can
+ * still answer with a JSON error; later ones abort the response.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} speechService - SpeechService
+ * @param {Object} request - { text, language, gender, voice, rate, pitch, format }
+ * @returns {Promise<Object|null>} { voiceUsed, language, bytes, cached }
+ */
+export async function sendSpeech(req, res, speechService, request) {
+    const { text, language, gender, voice, rate, pitch, format } = request;
+    const options = { rate, pitch, format, voice };
+
+    if (req.headers.range) {
+        const { audio, mimeType, voiceUsed, language: spokenLanguage, cached } =
+            await speechService.synthesizeSpeech(text, language, gender, options);
+        sendAudio(req, res, audio, mimeType);
+        return { voiceUsed, language: spokenLanguage, bytes: audio.length, cached: Boolean(cached) };
+    }
+
+    const { mimeType } = speechService.getStreamFormat(format);
+    const write = (chunk) => {
+        // A client that went away stops receiving; synthesis still completes into the TTS cache
+        if (res.destroyed) return;
+        if (!res.headersSent) {
+            res.status(200);
+            res.setHeader('Content-Type', mimeType);
+            res.setHeader('Accept-Ranges', 'bytes');
+            res.setHeader('Cache-Control', 'no-store');
+        }
+        res.write(chunk);
+    };
+
+    try {
+        const result = await speechService.textToSpeechStream(text, language, gender, write, options);
+        res.end();
+        return { ...result, cached: Boolean(result.cached) };
+    } catch (error) {
+        if (!res.headersSent) throw error;
+        console.error('[TTS] Stream aborted:', error.message);
+        res.destroy(error);
+        return null;
+    }
+}
@@ -0,0 +1,116 @@
+/**
+ * Audio Formats
+ * Catalog of TTS output formats and negotiation from a request field or the
+ * Accept header. Compressed formats (MP3, Ogg/WebM Opus) are a fraction of
+ * the size of WAV, which matters on slow mobile connections.
+ *
+ * `sdkFormat` names a SpeechSynthesisOutputFormat member; `rawFormat` is the
+ * headerless PCM counterpart used to stream WAV before its length is known.
+ */
+
+export const AUDIO_FORMATS = Object.freeze({
+    'wav':        { container: 'wav',  mimeType: 'audio/wav',  sampleRate: 16000, sdkFormat: 'Riff16Khz16BitMonoPcm', rawFormat: 'Raw16Khz16BitMonoPcm' },
+    'wav-8khz':   { container: 'wav',  mimeType: 'audio/wav',  sampleRate: 8000,  sdkFormat: 'Riff8Khz16BitMonoPcm',  rawFormat: 'Raw8Khz16BitMonoPcm' },
+    'wav-24khz':  { container: 'wav',  mimeType: 'audio/wav',  sampleRate: 24000, sdkFormat: 'Riff24Khz16BitMonoPcm', rawFormat: 'Raw24Khz16BitMonoPcm' },
+    'wav-48khz':  { container: 'wav',  mimeType: 'audio/wav',  sampleRate: 48000, sdkFormat: 'Riff48Khz16BitMonoPcm', rawFormat: 'Raw48Khz16BitMonoPcm' },
+    'mp3':        { container: 'mp3',  mimeType: 'audio/mpeg', sampleRate: 16000, sdkFormat: 'Audio16Khz32KBitRateMonoMp3' },
+    'mp3-24khz':  { container: 'mp3',  mimeType: 'audio/mpeg', sampleRate: 24000, sdkFormat: 'Audio24Khz48KBitRateMonoMp3' },
+    'mp3-48khz':  { container: 'mp3',  mimeType: 'audio/mpeg', sampleRate: 48000, sdkFormat: 'Audio48Khz96KBitRateMonoMp3' },
+    'ogg':        { container: 'ogg',  mimeType: 'audio/ogg; codecs=opus',  sampleRate: 16000, sdkFormat: 'Ogg16Khz16BitMonoOpus' },
+    'ogg-24khz':  { container: 'ogg',  mimeType: 'audio/ogg; codecs=opus',  sampleRate: 24000, sdkFormat: 'Ogg24Khz16BitMonoOpus' },
+    'webm':       { container: 'webm', mimeType: 'audio/webm; codecs=opus', sampleRate: 16000, sdkFormat: 'Webm16Khz16BitMonoOpus' },
+    'webm-24khz': { container: 'webm', mimeType: 'audio/webm; codecs=opus', sampleRate: 24000, sdkFormat: 'Webm24Khz16Bit24KbpsMonoOpus' }
+});
+
+export const AUDIO_FORMAT_IDS = Object.freeze(Object.keys(AUDIO_FORMATS));
+export const DEFAULT_AUDIO_FORMAT = 'wav';
+
+// Accept header media types → container
+const MEDIA_TYPES = {
+    'audio/wav': 'wav',
+    'audio/wave': 'wav',
+    'audio/x-wav': 'wav',
+    'audio/mpeg': 'mp3',
+    'audio/mp3': 'mp3',
+    'audio/ogg': 'ogg',
+    'audio/opus': 'ogg',
+    'audio/webm': 'webm'
+};
+
+/**
+ * Look up a format by ID, falling back to the default
+ * @returns {Object} Catalog entry with its `id`
+ */
+export function getAudioFormat(id) {
+    const formatId = AUDIO_FORMATS[id] ? id : DEFAULT_AUDIO_FORMAT;
+    return { id: formatId, ...AUDIO_FORMATS[formatId] };
+}
+
+/**
+ * Pick the output format for a request
+ * An explicit format ID wins. Otherwise the fallback (usually the session
+ * preference) is used if the Accept header allows it, else the best accepted
+ * format by quality (`audio/ogg`, `audio/wav;rate=24000`, `audio/*`).
+ * @param {Object} options
+ * @param {string} options.requested - Format ID from a request field
+ * @param {string} options.accept - Accept header
+ * @param {string} options.fallback - Preferred format ID
+ * @returns {string|null} Format ID, or null when the Accept header allows no audio format we produce
+ */
+export function negotiateAudioFormat({ requested, accept, fallback = DEFAULT_AUDIO_FORMAT } = {}) {
+    if (requested && AUDIO_FORMATS[requested]) {
+        return requested;
+    }
+
+    const preferred = AUDIO_FORMATS[fallback] ? fallback : DEFAULT_AUDIO_FORMAT;
+    const ranges = parseAccept(accept);
+    if (ranges.length === 0 || ranges.some(range => acceptsFormat(range, preferred))) {
+        return preferred;
+    }
+
+    for (const range of ranges) {
+        const match = AUDIO_FORMAT_IDS.find(id => acceptsFormat(range, id));
+        if (match) return match;
+    }
+    return null;
+}
+
+/**
+ * Prefix for a base64 data URI: "audio/ogg; codecs=opus" → "data:audio/ogg;codecs=opus;base64,"
+ */
+export function dataUriPrefix(mimeType) {
+    return `data:${mimeType.replace(/\s+/g, '')};base64,`;
+}
+
+/**
+ * Whether a media range covers a format; a rate parameter must match its sample rate
+ */
+function acceptsFormat({ type, params }, id) {
+    if (type === '*/*' || type === 'audio/*') return true;
+
+    const format = AUDIO_FORMATS[id];
+    if (MEDIA_TYPES[type] !== format.container) return false;
+    return !params.rate || parseInt(params.rate, 10) === format.sampleRate;
+}
+
+/**
+ * Parse an Accept header into media ranges, highest quality first
+ * Ranges with q=0 are dropped.
+ */
+function parseAccept(accept) {
+    if (!accept) return [];
+
+    return accept.split(',')
+        .map((part, index) => {
+            const [type, ...rawParams] = part.trim().toLowerCase().split(';');
+            const params = {};
+            for (const param of rawParams) {
+                const [key, value = ''] = param.trim().split('=');
+                params[key] = value.replace(/"/g, '');
+            }
+            const q = params.q === undefined ? 1 : parseFloat(params.q);
+            return { type: type.trim(), params, q: Number.isFinite(q) ? q : 0, index };
+        })
+        .filter(range => range.type && range.q > 0)
+        .sort((a, b) => b.q - a.q || a.index - b.index);
+}
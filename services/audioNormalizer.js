@@ -0,0 +1,450 @@
+/**
+ * Audio Normalizer
+ * Converts uploaded audio to what the Speech SDK push stream expects:
+ * 16kHz, mono, 16-bit little-endian PCM without a header.
+ *
+ * Supported inputs:
+ *   WAV  - PCM 8/16/24/32-bit and IEEE float, any rate and channel count
+ *   WebM - Opus (browser MediaRecorder default)
+ *   Ogg  - Opus (Firefox MediaRecorder, WhatsApp-style voice notes)
+ * Anything else raises UnsupportedAudioFormatError (reported as HTTP 415).
+ */
+
+import { OpusDecoder } from 'opus-decoder';
+
+export const TARGET_SAMPLE_RATE = 16000;
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE;
+
+// Matroska/WebM element IDs (with their length marker bits)
+const EBML = {
+    header: 0x1A45DFA3,
+    segment: 0x18538067,
+    cluster: 0x1F43B675,
+    tracks: 0x1654AE6B,
+    trackEntry: 0xAE,
+    trackNumber: 0xD7,
+    codecId: 0x86,
+    codecPrivate: 0x63A2,
+    audio: 0xE1,
+    channels: 0x9F,
+    blockGroup: 0xA0,
+    block: 0xA1,
+    simpleBlock: 0xA3
+};
+
+// Elements whose children are parsed in place rather than skipped
+const EBML_CONTAINERS = new Set([
+    EBML.segment, EBML.cluster, EBML.tracks, EBML.trackEntry, EBML.audio, EBML.blockGroup
+]);
+
+export class UnsupportedAudioFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UnsupportedAudioFormatError';
+        this.status = 415;
+    }
+}
+
+/**
+ * Identify the container from its signature
+ * @param {Buffer} buffer - Audio data
+ * @returns {string} 'wav', 'webm', 'ogg', or a best guess at an unsupported format
+ */
+export function detectAudioFormat(buffer) {
+    const ascii = (start, end) => buffer.toString('ascii', start, end);
+
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'wav';
+    if (buffer.length >= 4 && buffer.readUInt32BE(0) === EBML.header) return 'webm';
+    if (ascii(0, 4) === 'OggS') return 'ogg';
+    if (ascii(0, 3) === 'ID3' || (buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0)) return 'mp3';
+    if (ascii(0, 4) === 'fLaC') return 'flac';
+    if (ascii(4, 8) === 'ftyp') return 'mp4';
+    return 'unknown';
+}
+
+/**
+ * Normalize uploaded audio to 16kHz mono 16-bit PCM
+ * @param {Buffer} buffer - Audio data as uploaded
+ * @returns {Promise<Object>} { pcm, sampleRate, duration, source: { format, sampleRate, channels, codec } }
+ * @throws {UnsupportedAudioFormatError} For formats or codecs that can't be decoded
+ */
+export async function normalizeAudio(buffer) {
+    const format = detectAudioFormat(buffer);
+    let decoded;
+
+    if (format === 'wav') {
+        decoded = decodeWav(buffer);
+    } else if (format === 'webm') {
+        decoded = await decodeOpus(demuxWebm(buffer));
+    } else if (format === 'ogg') {
+        decoded = await decodeOpus(demuxOgg(buffer));
+    } else {
+        throw new UnsupportedAudioFormatError(
+            `Unsupported audio format (${format}). Send WAV, WebM/Opus or Ogg/Opus audio.`
+        );
+    }
+
+    const { samples, sampleRate, channels, codec, pcm } = decoded;
+    const output = pcm || toPcm16(resample(samples, sampleRate, TARGET_SAMPLE_RATE));
+    const sourceSampleRate = decoded.sourceSampleRate || sampleRate;
+
+    console.log(`[Audio] Normalized ${format}/${codec} ${sourceSampleRate}Hz x${channels} → ${TARGET_SAMPLE_RATE}Hz mono (${output.length} bytes)`);
+
+    return {
+        pcm: output,
+        sampleRate: TARGET_SAMPLE_RATE,
+        duration: output.length / 2 / TARGET_SAMPLE_RATE,
+        source: { format, sampleRate: sourceSampleRate, channels, codec }
+    };
+}
+
+/**
+ * Parse a RIFF/WAVE file into mono float samples
+ * Already-normalized 16kHz mono 16-bit data is passed through untouched.
+ */
+export function decodeWav(buffer) {
+    let fmt = null;
+    let data = null;
+
+    // Walk the chunks; sizes are padded to an even length
+    for (let offset = 12; offset + 8 <= buffer.length;) {
+        const id = buffer.toString('ascii', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        const start = offset + 8;
+        // Streaming recorders leave the data size as 0 or 0xFFFFFFFF
+        const end = Math.min(buffer.length, size > 0 ? start + size : buffer.length);
+
+        if (id === 'fmt ' && end - start >= 16) {
+            fmt = {
+                audioFormat: buffer.readUInt16LE(start),
+                channels: buffer.readUInt16LE(start + 2),
+                sampleRate: buffer.readUInt32LE(start + 4),
+                bitsPerSample: buffer.readUInt16LE(start + 14)
+            };
+            if (fmt.audioFormat === WAVE_FORMAT_EXTENSIBLE && end - start >= 26) {
+                // Sub-format GUID starts with the actual format tag
+                fmt.audioFormat = buffer.readUInt16LE(start + 24);
+            }
+        } else if (id === 'data') {
+            data = buffer.subarray(start, end);
+            break;
+        }
+
+        offset = start + size + (size % 2);
+    }
+
+    if (!fmt || !data) {
+        throw new UnsupportedAudioFormatError('Invalid WAV file: missing fmt or data chunk');
+    }
+
+    const { audioFormat, channels, sampleRate, bitsPerSample } = fmt;
+    const bytesPerSample = bitsPerSample / 8;
+    const readers = {
+        [`${WAVE_FORMAT_PCM}:8`]: (offset) => (data[offset] - 128) / 128,
+        [`${WAVE_FORMAT_PCM}:16`]: (offset) => data.readInt16LE(offset) / 32768,
+        [`${WAVE_FORMAT_PCM}:24`]: (offset) => data.readIntLE(offset, 3) / 8388608,
+        [`${WAVE_FORMAT_PCM}:32`]: (offset) => data.readInt32LE(offset) / 2147483648,
+        [`${WAVE_FORMAT_IEEE_FLOAT}:32`]: (offset) => data.readFloatLE(offset),
+        [`${WAVE_FORMAT_IEEE_FLOAT}:64`]: (offset) => data.readDoubleLE(offset)
+    };
+    const read = readers[`${audioFormat}:${bitsPerSample}`];
+
+    if (!read || !channels || !sampleRate) {
+        throw new UnsupportedAudioFormatError(
+            `Unsupported WAV encoding (format ${audioFormat}, ${bitsPerSample}-bit). Use PCM or IEEE float.`
+        );
+    }
+
+    const codec = audioFormat === WAVE_FORMAT_IEEE_FLOAT ? `float${bitsPerSample}` : `pcm${bitsPerSample}`;
+    const frameBytes = bytesPerSample * channels;
+    const frames = Math.floor(data.length / frameBytes);
+
+    if (audioFormat === WAVE_FORMAT_PCM && bitsPerSample === 16 && channels === 1 && sampleRate === TARGET_SAMPLE_RATE) {
+        return { pcm: data.subarray(0, frames * 2), sampleRate, channels, codec };
+    }
+
+    // Downmix to mono while converting
+    const samples = new Float32Array(frames);
+    for (let frame = 0; frame < frames; frame++) {
+        let sum = 0;
+        for (let channel = 0; channel < channels; channel++) {
+            sum += read(frame * frameBytes + channel * bytesPerSample);
+        }
+        samples[frame] = sum / channels;
+    }
+
+    return { samples, sampleRate, channels, codec };
+}
+
+/**
+ * Extract Opus packets from an Ogg stream
+ * @returns {Object} { frames, channels, preSkip, sampleRate }
+ */
+export function demuxOgg(buffer) {
+    const packets = [];
+    let partial = [];
+
+    for (let offset = 0; offset + 27 <= buffer.length;) {
+        if (buffer.toString('ascii', offset, offset + 4) !== 'OggS') {
+            throw new UnsupportedAudioFormatError('Invalid Ogg file: bad page header');
+        }
+
+        const segmentCount = buffer[offset + 26];
+        const lacing = buffer.subarray(offset + 27, offset + 27 + segmentCount);
+        let position = offset + 27 + segmentCount;
+
+        // Segments of 255 bytes continue the packet, possibly onto the next page
+        for (const length of lacing) {
+            partial.push(buffer.subarray(position, position + length));
+            position += length;
+            if (length < 255) {
+                packets.push(Buffer.concat(partial));
+                partial = [];
+            }
+        }
+
+        offset = position;
+    }
+
+    const head = packets[0];
+    if (!head || head.toString('ascii', 0, 8) !== 'OpusHead') {
+        throw new UnsupportedAudioFormatError('Unsupported Ogg codec. Only Ogg/Opus audio is supported.');
+    }
+
+    // packets[1] is OpusTags; the rest is audio
+    return { ...parseOpusHead(head), frames: packets.slice(2) };
+}
+
+/**
+ * Extract Opus frames from the first Opus track of a WebM/Matroska file
+ * Handles the unknown-size segments and clusters MediaRecorder writes.
+ * @returns {Object} { frames, channels, preSkip, sampleRate }
+ */
+export function demuxWebm(buffer) {
+    const tracks = [];
+    const blocks = [];
+    let track = null;
+
+    for (let offset = 0; offset < buffer.length;) {
+        const id = readVint(buffer, offset, true);
+        if (!id) break;
+        const size = readVint(buffer, offset + id.length, false);
+        if (!size) break;
+
+        const start = offset + id.length + size.length;
+        if (EBML_CONTAINERS.has(id.value)) {
+            if (id.value === EBML.trackEntry) {
+                track = {};
+                tracks.push(track);
+            }
+            offset = start;
+            continue;
+        }
+
+        const end = size.unknown ? buffer.length : Math.min(buffer.length, start + size.value);
+        const payload = buffer.subarray(start, end);
+
+        if (id.value === EBML.trackNumber && track) {
+            track.number = payload.readUIntBE(0, payload.length);
+        } else if (id.value === EBML.codecId && track) {
+            track.codec = payload.toString('ascii').replace(/\0+$/, '');
+        } else if (id.value === EBML.codecPrivate && track) {
+            track.codecPrivate = payload;
+        } else if (id.value === EBML.channels && track) {
+            track.channels = payload.readUIntBE(0, payload.length);
+        } else if (id.value === EBML.simpleBlock || id.value === EBML.block) {
+            blocks.push(payload);
+        }
+
+        offset = end;
+    }
+
+    const opusTrack = tracks.find(entry => entry.codec === 'A_OPUS');
+    if (!opusTrack) {
+        const codecs = tracks.map(entry => entry.codec).filter(Boolean).join(', ') || 'none';
+        throw new UnsupportedAudioFormatError(`Unsupported WebM codec (${codecs}). Only WebM/Opus audio is supported.`);
+    }
+
+    const head = opusTrack.codecPrivate?.toString('ascii', 0, 8) === 'OpusHead'
+        ? parseOpusHead(opusTrack.codecPrivate)
+        : { channels: opusTrack.channels || 1, preSkip: 0, sampleRate: 48000 };
+
+    const frames = [];
+    for (const block of blocks) {
+        const trackNumber = readVint(block, 0, false);
+        if (!trackNumber || trackNumber.value !== opusTrack.number) continue;
+
+        // Track number, 16-bit timecode, flags
+        const headerLength = trackNumber.length + 3;
+        const lacing = (block[headerLength - 1] >> 1) & 0x03;
+        frames.push(...unlace(block.subarray(headerLength), lacing));
+    }
+
+    return { ...head, frames };
+}
+
+/**
+ * Decode Opus frames straight to 16kHz and downmix to mono
+ */
+async function decodeOpus({ frames, channels, preSkip, sampleRate }) {
+    if (channels > 2) {
+        throw new UnsupportedAudioFormatError(`Unsupported Opus channel count (${channels}). Use mono or stereo.`);
+    }
+
+    // Pre-skip is counted at 48kHz but the decoder applies it at its output rate
+    const decoder = new OpusDecoder({
+        channels,
+        preSkip: Math.round(preSkip * TARGET_SAMPLE_RATE / 48000),
+        sampleRate: TARGET_SAMPLE_RATE
+    });
+    await decoder.ready;
+
+    try {
+        const { channelData, samplesDecoded, errors } = decoder.decodeFrames(frames);
+        if (errors.length > 0) {
+            console.log(`[Audio] ⚠️ ${errors.length} Opus frames could not be decoded`);
+        }
+
+        const samples = new Float32Array(samplesDecoded);
+        for (let i = 0; i < samplesDecoded; i++) {
+            let sum = 0;
+            for (const data of channelData) {
+                sum += data[i];
+            }
+            samples[i] = sum / channelData.length;
+        }
+
+        return { samples, sampleRate: TARGET_SAMPLE_RATE, sourceSampleRate: sampleRate, channels, codec: 'opus' };
+    } finally {
+        decoder.free();
+    }
+}
+
+/**
+ * Read the channel count and pre-skip from an OpusHead packet
+ */
+function parseOpusHead(head) {
+    return {
+        channels: head[9],
+        preSkip: head.readUInt16LE(10),
+        sampleRate: head.readUInt32LE(12) || 48000
+    };
+}
+
+/**
+ * Read an EBML variable-length integer
+ * IDs keep their length marker bits; sizes drop them (all ones = unknown size).
+ * @returns {Object|null} { value, length, unknown }
+ */
+function readVint(buffer, offset, keepMarker) {
+    const first = buffer[offset];
+    if (first === undefined || first === 0) return null;
+
+    const length = Math.clz32(first) - 23;
+    if (offset + length > buffer.length) return null;
+
+    let value = keepMarker ? first : first & (0xFF >> length);
+    let allOnes = value === (0xFF >> length);
+    for (let i = 1; i < length; i++) {
+        value = value * 256 + buffer[offset + i];
+        allOnes = allOnes && buffer[offset + i] === 0xFF;
+    }
+
+    return { value, length, unknown: !keepMarker && allOnes };
+}
+
+/**
+ * Split a block payload into frames according to its lacing mode
+ * (0 none, 1 Xiph, 2 fixed-size, 3 EBML)
+ */
+function unlace(payload, lacing) {
+    if (lacing === 0) return [payload];
+
+    const count = payload[0] + 1;
+    let offset = 1;
+    const sizes = [];
+
+    if (lacing === 1) {
+        for (let i = 0; i < count - 1; i++) {
+            let size = 0;
+            let byte;
+            do {
+                byte = payload[offset++];
+                size += byte;
+            } while (byte === 255);
+            sizes.push(size);
+        }
+    } else if (lacing === 3) {
+        const first = readVint(payload, offset, false);
+        offset += first.length;
+        sizes.push(first.value);
+        for (let i = 1; i < count - 1; i++) {
+            // Later sizes are signed differences from the previous one
+            const delta = readVint(payload, offset, false);
+            offset += delta.length;
+            const bias = 2 ** (7 * delta.length - 1) - 1;
+            sizes.push(sizes[i - 1] + delta.value - bias);
+        }
+    } else {
+        const size = (payload.length - 1) / count;
+        for (let i = 0; i < count - 1; i++) sizes.push(size);
+    }
+
+    const frames = [];
+    for (const size of sizes) {
+        frames.push(payload.subarray(offset, offset + size));
+        offset += size;
+    }
+    frames.push(payload.subarray(offset));
+    return frames;
+}
+
+/**
+ * Resample mono float samples
+ * Downsampling averages the source samples each output sample covers (a
+ * simple low-pass against aliasing); upsampling interpolates linearly.
+ */
+export function resample(samples, fromRate, toRate) {
+    if (fromRate === toRate) return samples;
+
+    const ratio = fromRate / toRate;
+    const output = new Float32Array(Math.floor(samples.length / ratio));
+
+    for (let i = 0; i < output.length; i++) {
+        const position = i * ratio;
+
+        if (ratio > 1) {
+            const start = Math.floor(position);
+            const end = Math.min(samples.length, Math.max(start + 1, Math.floor(position + ratio)));
+            let sum = 0;
+            for (let j = start; j < end; j++) {
+                sum += samples[j];
+            }
+            output[i] = sum / (end - start);
+        } else {
+            const index = Math.floor(position);
+            const fraction = position - index;
+            const next = samples[Math.min(index + 1, samples.length - 1)];
+            output[i] = samples[index] * (1 - fraction) + next * fraction;
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Convert float samples (-1..1) to 16-bit little-endian PCM
+ */
+export function toPcm16(samples) {
+    const pcm = Buffer.alloc(samples.length * 2);
+    for (let i = 0; i < samples.length; i++) {
+        const sample = Math.max(-1, Math.min(1, samples[i]));
+        pcm.writeInt16LE(Math.round(sample < 0 ? sample * 32768 : sample * 32767), i * 2);
+    }
+    return pcm;
+}
+
+export default normalizeAudio;
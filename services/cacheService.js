@@ -2,26 +2,115 @@
  * Cache Service for NRAI Voice Assistant
  * Implements LRU caching for agent responses and language detection
  * Significantly improves response time for repeated queries
+ *
+ * Each cache has an entry limit, a byte budget and a TTL, configurable via env:
+ *   CACHE_<NAME>_MAX_ENTRIES, CACHE_<NAME>_MAX_BYTES, CACHE_<NAME>_TTL_MS
+ *   where <NAME> is RESPONSE, LANGUAGE, TRANSCRIPT, FAQ or TTS
+ *
+ * The FAQ cache (opt-in, CACHE_FAQ_ENABLED=true) shares answers to
+ * context-free first-turn questions across sessions, matching near-duplicate
+ * questions above CACHE_FAQ_THRESHOLD similarity (see faqMatcher.js).
+ *
+ * Synthesized audio is also kept on disk (CACHE_TTS_DIR, default .cache/tts)
+ * so repeated answers and warm-up phrases survive restarts; CACHE_TTS_DISK=false disables it.
+ *
+ * When REDIS_URL is set, Redis is a shared second level behind the in-memory
+ * caches (L1), so all cluster instances share entries and invalidations.
+ *
+ * Every entry is tagged with its provenance (status, source, model version,
+ * creation time). Only results with status 'ok' are stored, so failures and
+ * fallback answers are never served from cache.
  */
 
 import crypto from 'crypto';
+import path from 'path';
+import { LruCache } from './lruCache.js';
+import { RedisCacheStore } from './redisCacheStore.js';
+import { DiskCacheStore } from './diskCacheStore.js';
+import { normalizeQuestion, questionLanguage, questionSimilarity } from './faqMatcher.js';
+import { detectDevanagariLanguage } from './textLanguage.js';
+
+/**
+ * Read a positive integer limit from the environment
+ */
+function envLimit(name, fallback) {
+    const value = parseInt(process.env[name]);
+    return value > 0 ? value : fallback;
+}
 
 export class CacheService {
-    constructor() {
-        // Simple in-memory cache with TTL
-        this.responseCache = new Map();
-        this.languageCache = new Map();
-        this.transcriptCache = new Map();
-        
+    constructor(options = {}) {
         // Cache configuration
         this.config = {
-            responseMaxSize: 100,
-            responseTTL: 5 * 60 * 1000, // 5 minutes (restored to normal)
-            languageMaxSize: 50,
-            languageTTL: 2 * 60 * 1000, // 2 minutes
-            transcriptMaxSize: 30,
-            transcriptTTL: 1 * 60 * 1000 // 1 minute
+            responseMaxSize: envLimit('CACHE_RESPONSE_MAX_ENTRIES', 100),
+            responseMaxBytes: envLimit('CACHE_RESPONSE_MAX_BYTES', 2 * 1024 * 1024), // 2MB
+            responseTTL: envLimit('CACHE_RESPONSE_TTL_MS', 5 * 60 * 1000), // 5 minutes (restored to normal)
+            languageMaxSize: envLimit('CACHE_LANGUAGE_MAX_ENTRIES', 50),
+            languageMaxBytes: envLimit('CACHE_LANGUAGE_MAX_BYTES', 64 * 1024),
+            languageTTL: envLimit('CACHE_LANGUAGE_TTL_MS', 2 * 60 * 1000), // 2 minutes
+            transcriptMaxSize: envLimit('CACHE_TRANSCRIPT_MAX_ENTRIES', 30),
+            transcriptMaxBytes: envLimit('CACHE_TRANSCRIPT_MAX_BYTES', 256 * 1024),
+            transcriptTTL: envLimit('CACHE_TRANSCRIPT_TTL_MS', 1 * 60 * 1000), // 1 minute
+            faqEnabled: process.env.CACHE_FAQ_ENABLED === 'true',
+            faqMaxSize: envLimit('CACHE_FAQ_MAX_ENTRIES', 500),
+            faqMaxBytes: envLimit('CACHE_FAQ_MAX_BYTES', 4 * 1024 * 1024), // 4MB
+            faqTTL: envLimit('CACHE_FAQ_TTL_MS', 24 * 60 * 60 * 1000), // 24 hours
+            faqThreshold: parseFloat(process.env.CACHE_FAQ_THRESHOLD) || 0.85,
+            ttsMaxSize: envLimit('CACHE_TTS_MAX_ENTRIES', 200),
+            ttsMaxBytes: envLimit('CACHE_TTS_MAX_BYTES', 32 * 1024 * 1024), // 32MB
+            ttsTTL: envLimit('CACHE_TTS_TTL_MS', 60 * 60 * 1000), // 1 hour
+            ttsDiskTTL: envLimit('CACHE_TTS_DISK_TTL_MS', 7 * 24 * 60 * 60 * 1000), // 7 days
+            ttsDiskMaxSize: envLimit('CACHE_TTS_DISK_MAX_ENTRIES', 5000),
+            ttsDiskMaxBytes: envLimit('CACHE_TTS_DISK_MAX_BYTES', 512 * 1024 * 1024), // 512MB
+            ttsDir: process.env.CACHE_TTS_DIR || path.join(process.cwd(), '.cache', 'tts')
         };
+
+        // In-memory LRU caches with TTL
+        this.responseCache = new LruCache({
+            name: 'response',
+            maxEntries: this.config.responseMaxSize,
+            maxBytes: this.config.responseMaxBytes,
+            ttl: this.config.responseTTL
+        });
+        this.languageCache = new LruCache({
+            name: 'language',
+            maxEntries: this.config.languageMaxSize,
+            maxBytes: this.config.languageMaxBytes,
+            ttl: this.config.languageTTL
+        });
+        this.transcriptCache = new LruCache({
+            name: 'transcript',
+            maxEntries: this.config.transcriptMaxSize,
+            maxBytes: this.config.transcriptMaxBytes,
+            ttl: this.config.transcriptTTL
+        });
+        this.faqCache = new LruCache({
+            name: 'faq',
+            maxEntries: this.config.faqMaxSize,
+            maxBytes: this.config.faqMaxBytes,
+            ttl: this.config.faqTTL
+        });
+        this.ttsCache = new LruCache({
+            name: 'tts',
+            maxEntries: this.config.ttsMaxSize,
+            maxBytes: this.config.ttsMaxBytes,
+            ttl: this.config.ttsTTL
+        });
+        this.caches = [this.responseCache, this.languageCache, this.transcriptCache, this.faqCache, this.ttsCache];
+        
+        // Persistent store for synthesized audio, prepared in initialize()
+        this.ttsDiskStore = process.env.CACHE_TTS_DISK === 'false'
+            ? null
+            : new DiskCacheStore({
+                directory: this.config.ttsDir,
+                ttl: this.config.ttsDiskTTL,
+                maxEntries: this.config.ttsDiskMaxSize,
+                maxBytes: this.config.ttsDiskMaxBytes
+            });
+        
+        // Shared L2, connected in initialize()
+        const redisUrl = options.redisUrl ?? process.env.REDIS_URL;
+        this.sharedStore = redisUrl ? new RedisCacheStore({ redisUrl }) : null;
         
         // Start cleanup interval
         this.startCleanupInterval();
@@ -29,6 +118,83 @@ export class CacheService {
         console.log('✅ Cache Service initialized');
     }
 
+    /**
+     * Connect the shared Redis cache and prepare the disk cache if configured
+     */
+    async initialize() {
+        await this.ttsDiskStore?.initialize();
+        
+        if (!this.sharedStore) return;
+        
+        await this.sharedStore.initialize((invalidation) => this.invalidateLocal(invalidation));
+    }
+
+    /**
+     * Drop entries from the in-memory caches after another instance changed them
+     * @param {Object} invalidation - { key } or { all: true }
+     */
+    invalidateLocal({ key, all }) {
+        for (const cache of this.caches) {
+            if (all) {
+                cache.clear();
+            } else {
+                cache.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Read through L1 then the shared cache, filling L1 on a shared hit
+     */
+    async getCached(cache, key) {
+        const local = cache.get(key);
+        if (local !== null || !this.sharedStore) {
+            return local;
+        }
+        
+        const shared = await this.sharedStore.get(key);
+        // Shared entries are { value, meta }; anything not tagged 'ok' is never served
+        if (!shared || shared.value?.meta?.status !== 'ok') {
+            return null;
+        }
+        
+        // Don't let the L1 copy outlive the shared entry
+        const { value, meta } = shared.value;
+        cache.set(key, value, { ttl: Math.min(shared.ttl ?? cache.ttl, cache.ttl), meta });
+        return value;
+    }
+
+    /**
+     * Write to L1 and the shared cache, tagged with where the value came from
+     * @param {Object} provenance - { status, source, modelVersion }; only status 'ok' is stored
+     * @returns {Promise<boolean>} False if the value was not cached
+     */
+    async setCached(cache, key, value, provenance = {}) {
+        const meta = this.provenanceMeta(provenance);
+        
+        if (meta.status !== 'ok') {
+            console.log(`⚠️ Not caching ${cache.name} entry (status: ${meta.status})`);
+            return false;
+        }
+        
+        if (!cache.set(key, value, { meta })) {
+            console.log(`⚠️ ${cache.name} entry too large to cache`);
+            return false;
+        }
+        
+        if (this.sharedStore) {
+            await this.sharedStore.set(key, { value, meta }, cache.ttl);
+        }
+        return true;
+    }
+
+    /**
+     * Fill in provenance defaults for a new cache entry
+     */
+    provenanceMeta({ status = 'ok', source = 'unknown', modelVersion = null } = {}) {
+        return { status, source, modelVersion, createdAt: Date.now() };
+    }
+
     /**
      * Generate cache key from input
      */
@@ -40,143 +206,215 @@ export class CacheService {
     /**
      * Get agent response from cache
      */
-    getResponse(message, sessionId) {
+    async getResponse(message, sessionId) {
         const key = this.generateKey(`${message}:${sessionId}`, 'response');
-        const cached = this.responseCache.get(key);
+        const cached = await this.getCached(this.responseCache, key);
         
-        if (cached && cached.expires > Date.now()) {
+        if (cached) {
             console.log('📦 Cache hit for response');
-            return cached.data;
         }
         
-        return null;
+        return cached;
     }
 
     /**
      * Cache agent response
+     * @param {Object} provenance - { status, source, modelVersion } (see AgentService.getProvenance)
      */
-    setResponse(message, sessionId, response) {
+    async setResponse(message, sessionId, response, provenance = {}) {
         const key = this.generateKey(`${message}:${sessionId}`, 'response');
         
-        // Implement LRU by removing oldest if at max size
-        if (this.responseCache.size >= this.config.responseMaxSize) {
-            const firstKey = this.responseCache.keys().next().value;
-            this.responseCache.delete(firstKey);
+        if (!await this.setCached(this.responseCache, key, response, provenance)) {
+            return;
         }
         
-        this.responseCache.set(key, {
-            data: response,
-            expires: Date.now() + this.config.responseTTL
-        });
+        console.log(`📦 Cached response (${this.responseCache.size}/${this.config.responseMaxSize}, ${this.responseCache.bytes}/${this.config.responseMaxBytes} bytes)`);
+    }
+
+    /**
+     * Get a shared answer for a question already asked in another session
+     * Callers must only use this for context-free first-turn questions.
+     * @param {string} message - User question
+     * @param {Object} options - { responseLength } answers are kept per response length
+     * @returns {Promise<Object|null>} { response, sources, matchedQuestion, similarity } or null
+     */
+    async getFaqResponse(message, { responseLength = 'medium' } = {}) {
+        if (!this.config.faqEnabled) return null;
+        
+        const normalized = normalizeQuestion(message);
+        if (!normalized) return null;
+        
+        const partition = `${questionLanguage(message)}:${responseLength}`;
+        const exactKey = this.generateKey(`${partition}:${normalized}`, 'faq');
+        
+        // Exact skeleton match, shared across instances through Redis
+        const exact = await this.getCached(this.faqCache, exactKey);
+        if (exact) {
+            console.log('📦 FAQ cache hit (exact)');
+            return { ...exact, similarity: 1 };
+        }
+        
+        // Near-duplicate match against local entries
+        let best = null;
+        for (const [key, entry] of this.faqCache.scan()) {
+            if (entry.partition !== partition) continue;
+            
+            const similarity = questionSimilarity(normalized, entry.normalized);
+            if (similarity >= this.config.faqThreshold && (!best || similarity > best.similarity)) {
+                best = { key, similarity };
+            }
+        }
+        
+        if (!best) return null;
         
-        console.log(`📦 Cached response (${this.responseCache.size}/${this.config.responseMaxSize})`);
+        console.log(`📦 FAQ cache hit (similarity ${best.similarity.toFixed(2)})`);
+        return { ...this.faqCache.get(best.key), similarity: best.similarity };
     }
 
     /**
-     * Get language detection from cache
+     * Share an agent answer to a context-free first-turn question
+     * Answers in a different language than the question are not shared.
      */
-    getLanguage(audioHash) {
-        const key = this.generateKey(audioHash, 'lang');
-        const cached = this.languageCache.get(key);
+    async setFaqResponse(message, { responseLength = 'medium' } = {}, { response, sources = [] }, provenance = {}) {
+        if (!this.config.faqEnabled || !response) return;
         
-        if (cached && cached.expires > Date.now()) {
-            console.log('📦 Cache hit for language detection');
-            return cached.data;
+        const normalized = normalizeQuestion(message);
+        const language = questionLanguage(message);
+        const answerLanguage = /[\u0900-\u097F]/.test(response)
+            ? detectDevanagariLanguage(response, language).language
+            : 'en-US';
+        if (!normalized || answerLanguage !== language) return;
+        
+        const partition = `${language}:${responseLength}`;
+        await this.setCached(this.faqCache, this.generateKey(`${partition}:${normalized}`, 'faq'), {
+            response,
+            sources,
+            matchedQuestion: message,
+            normalized,
+            partition
+        }, provenance);
+    }
+
+    /**
+     * Build the TTS cache key; audio differs by text, voice, format and prosody
+     * @param {Object} params - { text, voice, format, rate, pitch }
+     */
+    getTtsKey({ text, voice, format, rate = 1.0, pitch = 0 }) {
+        return this.generateKey(JSON.stringify([text, voice, format, rate, pitch]), 'tts');
+    }
+
+    /**
+     * Get synthesized audio from memory, the shared cache or disk
+     * @param {Object} params - { text, voice, format, rate, pitch }
+     * @returns {Promise<Object|null>} { audio: Buffer, mimeType, voiceUsed, language, duration } or null
+     */
+    async getTts(params) {
+        const key = this.getTtsKey(params);
+        
+        const cached = await this.getCached(this.ttsCache, key);
+        if (cached) {
+            console.log('📦 Cache hit for TTS audio');
+            return cached;
         }
         
-        return null;
+        const stored = await this.ttsDiskStore?.get(key);
+        if (!stored) {
+            return null;
+        }
+        
+        console.log('📦 Disk cache hit for TTS audio');
+        const { provenance, ...meta } = stored.meta;
+        const value = { ...meta, audio: stored.data };
+        this.ttsCache.set(key, value, { meta: provenance });
+        return value;
     }
 
     /**
-     * Cache language detection result
+     * Cache synthesized audio in memory, the shared cache and on disk
+     * @param {Object} params - { text, voice, format, rate, pitch }
+     * @param {Object} value - { audio: Buffer, mimeType, voiceUsed, language, duration }
+     * @param {Object} provenance - { status, source, modelVersion }
      */
-    setLanguage(audioHash, language) {
-        const key = this.generateKey(audioHash, 'lang');
+    async setTts(params, value, provenance = {}) {
+        const key = this.getTtsKey(params);
+        const { audio, ...meta } = value;
         
-        if (this.languageCache.size >= this.config.languageMaxSize) {
-            const firstKey = this.languageCache.keys().next().value;
-            this.languageCache.delete(firstKey);
+        if (!audio?.length) {
+            provenance = { ...provenance, status: 'empty' };
         }
         
-        this.languageCache.set(key, {
-            data: language,
-            expires: Date.now() + this.config.languageTTL
-        });
+        if (await this.setCached(this.ttsCache, key, value, provenance)) {
+            await this.ttsDiskStore?.set(key, audio, { ...meta, provenance: this.provenanceMeta(provenance) });
+        }
     }
 
     /**
-     * Get transcript from cache
+     * Get language detection from cache
      */
-    getTranscript(audioHash) {
-        const key = this.generateKey(audioHash, 'transcript');
-        const cached = this.transcriptCache.get(key);
+    async getLanguage(audioHash) {
+        const cached = await this.getCached(this.languageCache, this.generateKey(audioHash, 'lang'));
         
-        if (cached && cached.expires > Date.now()) {
-            console.log('📦 Cache hit for transcript');
-            return cached.data;
+        if (cached) {
+            console.log('📦 Cache hit for language detection');
         }
         
-        return null;
+        return cached;
     }
 
     /**
-     * Cache transcript result
+     * Cache language detection result
+     */
+    async setLanguage(audioHash, language, provenance = {}) {
+        await this.setCached(this.languageCache, this.generateKey(audioHash, 'lang'), language, provenance);
+    }
+
+    /**
+     * Build the transcript cache key; the same audio transcribes differently
+     * per preferred language and recognition mode
+     * @param {string} audioHash - Hash from getAudioHash
+     * @param {Object} options - { language, sttMode, lidMode } as passed to speechToText
+     */
+    getTranscriptKey(audioHash, { language = null, sttMode = null, lidMode = null } = {}) {
+        return this.generateKey(JSON.stringify([audioHash, language, sttMode, lidMode]), 'transcript');
+    }
+
+    /**
+     * Get transcript from cache
+     * @param {Object} options - { language, sttMode, lidMode }
      */
-    setTranscript(audioHash, transcript) {
-        const key = this.generateKey(audioHash, 'transcript');
+    async getTranscript(audioHash, options = {}) {
+        const cached = await this.getCached(this.transcriptCache, this.getTranscriptKey(audioHash, options));
         
-        if (this.transcriptCache.size >= this.config.transcriptMaxSize) {
-            const firstKey = this.transcriptCache.keys().next().value;
-            this.transcriptCache.delete(firstKey);
+        if (cached) {
+            console.log('📦 Cache hit for transcript');
         }
         
-        this.transcriptCache.set(key, {
-            data: transcript,
-            expires: Date.now() + this.config.transcriptTTL
-        });
+        return cached;
+    }
+
+    /**
+     * Cache transcript result
+     * @param {Object} options - { language, sttMode, lidMode }
+     * @param {Object} provenance - { status, source, modelVersion }
+     */
+    async setTranscript(audioHash, options, transcript, provenance = {}) {
+        await this.setCached(this.transcriptCache, this.getTranscriptKey(audioHash, options), transcript, provenance);
     }
 
     /**
      * Get audio hash for caching
+     * Hashes the whole buffer: clips that share a header and ending
+     * (same recorder, trailing silence) must not share a transcript.
      */
     getAudioHash(audioBuffer) {
-        // Use first and last 1KB of audio for hash (faster than full buffer)
-        const start = audioBuffer.slice(0, 1024);
-        const end = audioBuffer.slice(-1024);
-        const combined = Buffer.concat([start, end]);
-        return crypto.createHash('md5').update(combined).digest('hex');
+        return crypto.createHash('sha256').update(audioBuffer).digest('hex');
     }
 
     /**
      * Clear expired entries
      */
     clearExpired() {
-        const now = Date.now();
-        let cleared = 0;
-        
-        // Clear expired responses
-        for (const [key, value] of this.responseCache.entries()) {
-            if (value.expires <= now) {
-                this.responseCache.delete(key);
-                cleared++;
-            }
-        }
-        
-        // Clear expired language detections
-        for (const [key, value] of this.languageCache.entries()) {
-            if (value.expires <= now) {
-                this.languageCache.delete(key);
-                cleared++;
-            }
-        }
-        
-        // Clear expired transcripts
-        for (const [key, value] of this.transcriptCache.entries()) {
-            if (value.expires <= now) {
-                this.transcriptCache.delete(key);
-                cleared++;
-            }
-        }
+        const cleared = this.caches.reduce((sum, cache) => sum + cache.clearExpired(), 0);
         
         if (cleared > 0) {
             console.log(`🧹 Cleared ${cleared} expired cache entries`);
@@ -190,61 +428,75 @@ export class CacheService {
         setInterval(() => {
             this.clearExpired();
         }, 60000); // Run every minute
+        
+        // Expire old audio files hourly
+        setInterval(() => {
+            this.ttsDiskStore?.prune();
+        }, 3600000);
     }
 
     /**
      * Get cache statistics
+     * Per cache: entries and bytes against their limits, plus hit/miss/eviction counters
+     * `shared` reports the Redis L2 (null when running without REDIS_URL)
+     * With `entries`, each cache also lists up to `limit` entries with their provenance
      */
-    getStats() {
+    getStats({ entries = false, limit = 50 } = {}) {
+        const tierStats = (cache) => entries
+            ? { ...cache.getStats(), entries: cache.describeEntries(limit) }
+            : cache.getStats();
+        
         return {
-            responseCache: {
-                size: this.responseCache.size,
-                maxSize: this.config.responseMaxSize
-            },
-            languageCache: {
-                size: this.languageCache.size,
-                maxSize: this.config.languageMaxSize
-            },
-            transcriptCache: {
-                size: this.transcriptCache.size,
-                maxSize: this.config.transcriptMaxSize
-            },
-            totalSize: this.responseCache.size + this.languageCache.size + this.transcriptCache.size
+            responseCache: tierStats(this.responseCache),
+            languageCache: tierStats(this.languageCache),
+            transcriptCache: tierStats(this.transcriptCache),
+            faqCache: { enabled: this.config.faqEnabled, threshold: this.config.faqThreshold, ...tierStats(this.faqCache) },
+            ttsCache: tierStats(this.ttsCache),
+            ttsDisk: this.ttsDiskStore ? this.ttsDiskStore.getStats() : null,
+            totalSize: this.caches.reduce((sum, cache) => sum + cache.size, 0),
+            totalBytes: this.caches.reduce((sum, cache) => sum + cache.bytes, 0),
+            shared: this.sharedStore ? this.sharedStore.getStats() : null
         };
     }
 
     /**
-     * Clear all caches
+     * Clear all caches, on every instance when the shared cache is connected
      */
-    clearAll() {
-        this.responseCache.clear();
-        this.languageCache.clear();
-        this.transcriptCache.clear();
+    async clearAll() {
+        this.invalidateLocal({ all: true });
+        
+        if (this.sharedStore) {
+            await this.sharedStore.clear();
+        }
+        await this.ttsDiskStore?.clear();
         console.log('🧹 All caches cleared');
     }
 
     /**
      * Prune caches to free memory
+     * Evicts the least recently used 25% of any cache that is 90% full by entries or bytes
+     * @returns {Object} { entries, bytes } removed across all caches
      */
     prune() {
-        // Remove oldest 25% of entries if caches are full
-        const pruneCache = (cache, maxSize) => {
-            if (cache.size >= maxSize * 0.9) {
-                const toRemove = Math.floor(cache.size * 0.25);
-                const keys = Array.from(cache.keys()).slice(0, toRemove);
-                keys.forEach(key => cache.delete(key));
-                return toRemove;
-            }
-            return 0;
-        };
+        const pruned = { entries: 0, bytes: 0 };
         
-        const pruned = 
-            pruneCache(this.responseCache, this.config.responseMaxSize) +
-            pruneCache(this.languageCache, this.config.languageMaxSize) +
-            pruneCache(this.transcriptCache, this.config.transcriptMaxSize);
+        for (const cache of this.caches) {
+            const result = cache.prune();
+            pruned.entries += result.entries;
+            pruned.bytes += result.bytes;
+        }
         
-        if (pruned > 0) {
-            console.log(`🧹 Pruned ${pruned} cache entries`);
+        if (pruned.entries > 0) {
+            console.log(`🧹 Pruned ${pruned.entries} cache entries (${pruned.bytes} bytes)`);
         }
+        
+        return pruned;
+    }
+
+    /**
+     * Graceful shutdown
+     */
+    async close() {
+        await this.sharedStore?.close();
     }
 }
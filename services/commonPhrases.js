@@ -0,0 +1,56 @@
+/**
+ * Common Phrases
+ * Fixed assistant messages (greetings, errors, fallbacks) in English and Nepali;
+ * other languages get the English text
+ * Used for fallback and error responses, and pre-synthesized at startup to
+ * warm the TTS cache, so clients that speak them (e.g. through /api/tts) get
+ * cached audio
+ */
+
+export const COMMON_PHRASES = Object.freeze({
+    greeting: {
+        'en-US': 'Hello! How can I help you today?',
+        'ne-NP': 'नमस्ते! म तपाईंलाई कसरी सहयोग गर्न सक्छु?'
+    },
+    noResponse: {
+        'en-US': 'I apologize, but I could not generate a response.',
+        'ne-NP': 'माफ गर्नुहोस्, म जवाफ तयार गर्न सकिनँ।'
+    },
+    chatError: {
+        'en-US': 'I apologize, but I encountered an error processing your request. Please try again.',
+        'ne-NP': 'माफ गर्नुहोस्, तपाईंको अनुरोध प्रशोधन गर्दा त्रुटि भयो। कृपया फेरि प्रयास गर्नुहोस्।'
+    },
+    voiceError: {
+        'en-US': 'I apologize, but I encountered an error processing your voice input. Please try again.',
+        'ne-NP': 'माफ गर्नुहोस्, तपाईंको आवाज प्रशोधन गर्दा त्रुटि भयो। कृपया फेरि प्रयास गर्नुहोस्।'
+    },
+    notUnderstood: {
+        'en-US': 'Sorry, I could not understand that. Please speak clearly and try again.',
+        'ne-NP': 'माफ गर्नुहोस्, मैले बुझ्न सकिनँ। कृपया स्पष्ट बोलेर फेरि प्रयास गर्नुहोस्।'
+    }
+});
+
+// Phrases pre-synthesized at startup: the greeting, fallback and error replies
+export const SPOKEN_PHRASES = Object.freeze(['greeting', 'noResponse', 'chatError', 'voiceError', 'notUnderstood']);
+
+/**
+ * Get a phrase in a language, falling back to English
+ * @param {string} name - Phrase name (key of COMMON_PHRASES)
+ * @param {string} language - Language code
+ * @returns {string} Phrase text
+ */
+export function getPhrase(name, language = 'en-US') {
+    const phrase = COMMON_PHRASES[name];
+    return phrase[language] || phrase['en-US'];
+}
+
+/**
+ * List phrases in every language
+ * @param {Array} names - Phrase names (default all)
+ * @returns {Array} [{ name, language, text }]
+ */
+export function listPhrases(names = Object.keys(COMMON_PHRASES)) {
+    return names.flatMap(name =>
+        Object.entries(COMMON_PHRASES[name]).map(([language, text]) => ({ name, language, text }))
+    );
+}
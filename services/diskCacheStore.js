@@ -0,0 +1,292 @@
+/**
+ * Disk Cache Store
+ * File-backed cache for binary payloads (synthesized audio) that should
+ * survive restarts. Each entry is a data file plus a small JSON metadata file.
+ *
+ * Entries stay within entry and byte budgets; the oldest writes are evicted
+ * first. Files are written under a temporary name and renamed into place, so
+ * readers never see a partly written file.
+ *
+ * Several processes (PM2 cluster workers) can share the directory. Each keeps
+ * an index of it that is rebuilt from the directory at least every
+ * INDEX_REFRESH_MS, so the budgets cover the files of all workers, and only
+ * temporary files too old to belong to a write in progress are cleaned up.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const INDEX_REFRESH_MS = 60 * 1000;
+const STALE_TEMP_MS = 10 * 60 * 1000;
+
+let tempCounter = 0;
+
+export class DiskCacheStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.directory - Directory to store entries in
+     * @param {number} options.ttl - Entry lifetime in ms (by file modification time)
+     * @param {number} options.maxEntries - Maximum number of entries
+     * @param {number} options.maxBytes - Maximum size of all data and metadata files
+     */
+    constructor({ directory, ttl, maxEntries = Infinity, maxBytes = Infinity }) {
+        this.directory = directory;
+        this.ttl = ttl;
+        this.maxEntries = maxEntries;
+        this.maxBytes = maxBytes;
+        this.ready = false;
+
+        // File base name → { bytes }, oldest write first
+        this.entries = new Map();
+        this.bytes = 0;
+        this.indexedAt = 0;
+
+        this.counters = {
+            hits: 0,
+            misses: 0,
+            writes: 0,
+            evictions: 0,
+            rejected: 0, // Payloads larger than the whole byte budget
+            errors: 0
+        };
+    }
+
+    /**
+     * Create the cache directory, index existing entries and drop expired ones
+     */
+    async initialize() {
+        try {
+            await fs.mkdir(this.directory, { recursive: true });
+            this.ready = true;
+            await this.prune();
+            console.log(`✅ Disk cache ready at ${this.directory} (${this.entries.size} entries, ${this.bytes} bytes)`);
+        } catch (error) {
+            console.error('❌ Failed to initialize disk cache:', error.message);
+            this.ready = false;
+        }
+    }
+
+    /**
+     * Index the entries in the directory (from earlier runs and other workers),
+     * oldest first; temporary files left by interrupted writes are removed
+     */
+    async loadIndex() {
+        const found = [];
+        for (const file of await fs.readdir(this.directory)) {
+            const filePath = path.join(this.directory, file);
+
+            // Files can be removed by another worker while we look at them
+            const stats = await fs.stat(filePath).catch(() => null);
+            if (!stats) continue;
+
+            if (file.endsWith('.tmp')) {
+                if (Date.now() - stats.mtimeMs > STALE_TEMP_MS) {
+                    await fs.rm(filePath, { force: true });
+                }
+                continue;
+            }
+            if (!file.endsWith('.bin')) continue;
+
+            const base = file.slice(0, -'.bin'.length);
+            const metaStats = await fs.stat(path.join(this.directory, `${base}.json`)).catch(() => null);
+            found.push({ base, mtimeMs: stats.mtimeMs, bytes: stats.size + (metaStats?.size || 0) });
+        }
+
+        this.indexedAt = Date.now();
+        found.sort((a, b) => a.mtimeMs - b.mtimeMs);
+        this.entries.clear();
+        this.bytes = 0;
+        for (const { base, bytes } of found) {
+            this.entries.set(base, { bytes });
+            this.bytes += bytes;
+        }
+    }
+
+    /**
+     * Get an entry
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} { data: Buffer, meta } or null
+     */
+    async get(key) {
+        if (!this.ready) return null;
+
+        const { dataFile, metaFile } = this.filesFor(key);
+        try {
+            const stats = await fs.stat(dataFile);
+            if (Date.now() - stats.mtimeMs > this.ttl) {
+                this.counters.misses++;
+                return null;
+            }
+
+            const [data, meta] = await Promise.all([
+                fs.readFile(dataFile),
+                fs.readFile(metaFile, 'utf8')
+            ]);
+
+            this.counters.hits++;
+            return { data, meta: JSON.parse(meta) };
+
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.counters.errors++;
+                console.error('Disk cache read error:', error.message);
+            }
+            this.counters.misses++;
+            return null;
+        }
+    }
+
+    /**
+     * Store an entry, evicting the oldest entries to stay within budget
+     * (metadata is renamed into place last; data without metadata reads as a miss)
+     * @param {string} key - Cache key
+     * @param {Buffer} data - Payload
+     * @param {Object} meta - JSON-serializable metadata
+     */
+    async set(key, data, meta = {}) {
+        if (!this.ready) return;
+
+        const metaJson = JSON.stringify(meta);
+        const bytes = data.length + Buffer.byteLength(metaJson);
+        if (bytes > this.maxBytes) {
+            this.counters.rejected++;
+            return;
+        }
+
+        const { base, dataFile, metaFile } = this.filesFor(key);
+        try {
+            await writeFileAtomic(dataFile, data);
+            await writeFileAtomic(metaFile, metaJson);
+            this.counters.writes++;
+
+            if (Date.now() - this.indexedAt > INDEX_REFRESH_MS) {
+                await this.loadIndex();
+            } else {
+                this.forget(base);
+                this.entries.set(base, { bytes });
+                this.bytes += bytes;
+            }
+            await this.evict();
+        } catch (error) {
+            this.counters.errors++;
+            console.error('Disk cache write error:', error.message);
+        }
+    }
+
+    /**
+     * Remove the oldest entries until the store is within its budgets
+     * @returns {Promise<number>} Number of entries removed
+     */
+    async evict() {
+        let evicted = 0;
+        while (this.entries.size > 0 && (this.entries.size > this.maxEntries || this.bytes > this.maxBytes)) {
+            const base = this.entries.keys().next().value;
+            await this.removeFiles(base);
+            this.counters.evictions++;
+            evicted++;
+        }
+        return evicted;
+    }
+
+    /**
+     * Remove entries older than the TTL, then re-index the directory and evict
+     * down to the budgets
+     * @returns {Promise<number>} Number of entries removed
+     */
+    async prune() {
+        const expired = await this.removeEntries((stats) => Date.now() - stats.mtimeMs > this.ttl);
+        if (!this.ready) return expired;
+
+        try {
+            await this.loadIndex();
+            return expired + await this.evict();
+        } catch (error) {
+            this.counters.errors++;
+            console.error('Disk cache cleanup error:', error.message);
+            return expired;
+        }
+    }
+
+    /**
+     * Remove all entries
+     * @returns {Promise<number>} Number of entries removed
+     */
+    async clear() {
+        return this.removeEntries(() => true);
+    }
+
+    async removeEntries(shouldRemove) {
+        if (!this.ready) return 0;
+
+        let removed = 0;
+        try {
+            for (const file of await fs.readdir(this.directory)) {
+                if (!file.endsWith('.bin')) continue;
+
+                const stats = await fs.stat(path.join(this.directory, file)).catch(() => null);
+                if (stats && shouldRemove(stats)) {
+                    await this.removeFiles(file.slice(0, -'.bin'.length));
+                    removed++;
+                }
+            }
+        } catch (error) {
+            this.counters.errors++;
+            console.error('Disk cache cleanup error:', error.message);
+        }
+
+        return removed;
+    }
+
+    async removeFiles(base) {
+        this.forget(base);
+        await fs.rm(path.join(this.directory, `${base}.bin`), { force: true });
+        await fs.rm(path.join(this.directory, `${base}.json`), { force: true });
+    }
+
+    forget(base) {
+        const entry = this.entries.get(base);
+        if (entry) {
+            this.bytes -= entry.bytes;
+            this.entries.delete(base);
+        }
+    }
+
+    filesFor(key) {
+        const base = key.replace(/[^a-z0-9_-]/gi, '_');
+        const file = path.join(this.directory, base);
+        return { base, dataFile: `${file}.bin`, metaFile: `${file}.json` };
+    }
+
+    /**
+     * Get directory and counters
+     */
+    getStats() {
+        return {
+            enabled: this.ready,
+            directory: this.directory,
+            ttl: this.ttl,
+            entries: this.entries.size,
+            bytes: this.bytes,
+            maxEntries: this.maxEntries,
+            maxBytes: this.maxBytes,
+            ...this.counters
+        };
+    }
+}
+
+/**
+ * Write a file under a temporary name in the same directory, then rename it
+ * over the target (rename is atomic within a file system)
+ */
+async function writeFileAtomic(file, data) {
+    const tempFile = `${file}.${process.pid}.${++tempCounter}.tmp`;
+    try {
+        await fs.writeFile(tempFile, data);
+        await fs.rename(tempFile, file);
+    } catch (error) {
+        await fs.rm(tempFile, { force: true });
+        throw error;
+    }
+}
+
+export default DiskCacheStore;
@@ -0,0 +1,232 @@
+/**
+ * FAQ Matcher
+ * Text normalization and near-duplicate matching for the global FAQ cache
+ *
+ * Questions are reduced to a Latin "skeleton" so that spelling variants match:
+ * Devanagari is transliterated, romanized Nepali spellings are folded
+ * (v → b, sh → s, non-initial "a" dropped, ...) and digits are unified.
+ * Skeletons are compared with character-trigram Dice similarity. A few
+ * characters can flip the meaning, so some things must match exactly:
+ * - numbers, so "Article 51" never answers "Article 52"
+ * - negations and qualifiers, so "Can't the president ..." never answers
+ *   "Can the president ...", "illegal" never answers "legal" and
+ *   "vice president" never answers "president"
+ */
+
+import { detectDevanagariLanguage } from './textLanguage.js';
+
+const CONSONANTS = {
+    'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'ng',
+    'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'n',
+    'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+    'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+    'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+    'य': 'y', 'र': 'r', 'ल': 'l', 'व': 'b', 'ळ': 'l',
+    'श': 's', 'ष': 's', 'स': 's', 'ह': 'h'
+};
+
+const VOWELS = {
+    'अ': 'a', 'आ': 'a', 'इ': 'i', 'ई': 'i', 'उ': 'u', 'ऊ': 'u', 'ऋ': 'ri',
+    'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au'
+};
+
+const VOWEL_SIGNS = {
+    'ा': 'a', 'ि': 'i', 'ी': 'i', 'ु': 'u', 'ू': 'u', 'ृ': 'ri',
+    'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au'
+};
+
+const VIRAMA = '्';
+const NASALS = /[ंँ]/g;
+
+// Latin spelling variants common in romanized Nepali, applied after transliteration.
+// Non-initial "a" is dropped entirely because the inherent vowel is written
+// inconsistently (संविधानको → "sambidhanko", "sambidhan ko", "samvidhaan ko").
+const ROMAN_FOLDS = [
+    [/ee+/g, 'i'], [/oo+/g, 'u'],
+    [/[vw]/g, 'b'], [/sh/g, 's'], [/chh/g, 'ch'], [/ph|f/g, 'ph'], [/z/g, 'j'],
+    [/m(?=[bp])/g, 'n'],
+    [/ (ko|ka|ki|lai|le|ma|bata|sanga)\b/g, '$1'],
+    [/(?<=[a-z])a/g, ''],
+    [/([a-z])\1+/g, '$1']
+];
+
+// Words that negate or qualify a question, as they appear in skeletons
+// (English is not folded, romanized and Devanagari Nepali is: छैन → "chin")
+const NEGATION_WORDS = new Set([
+    'not', 'no', 'never', 'nor', 'neither', 'without', 'except', 'cannot',
+    'hoina', 'haina', 'chaina', 'chhaina', 'hoin', 'hin', 'chin'
+]);
+const CONTRACTED_NEGATION = /^(ca|do|does|is|are|was|were|wo|would|could|should|has|have|had|did|must|need|ai)nt$/;
+const NEPALI_NEGATION = /^.+d(a|ai)?in(a)?$/; // hudaina, sakdaina → hudin, skdin
+const QUALIFIER_WORDS = new Set(['vice', 'deputy', 'former', 'acting', 'assistant', 'interim', 'ex', 'upa', 'up']);
+
+// Prefixes that turn a word into its opposite or a lesser office. They only
+// count when the other question has the bare word (illegal vs legal);
+// "n" and "up" are Nepali न- (नहुने) and उप- (उपप्रधानमन्त्री).
+const OPPOSITE_PREFIXES = ['non', 'dis', 'il', 'im', 'in', 'ir', 'un', 'vice', 'sub', 'ex', 'up', 'n'];
+
+// Function words that mark Latin-script text as romanized Nepali rather than English
+const ROMAN_NEPALI_MARKERS = new Set([
+    'ke', 'ho', 'cha', 'chha', 'chan', 'chhan', 'ko', 'ka', 'ki', 'lai', 'le', 'ma',
+    'kati', 'kasari', 'kina', 'kun', 'kaha', 'garne', 'garna', 'huncha', 'hunchha',
+    'bhanne', 'bhaneko', 'pani', 'ra', 'hamro', 'mero', 'tapai', 'sakcha', 'sakchha'
+]);
+
+// Words that refer back to earlier turns; questions containing them are not context-free
+const CONTEXT_WORDS = new Set([
+    'it', 'its', 'that', 'this', 'these', 'those', 'they', 'them', 'their',
+    'he', 'she', 'him', 'his', 'her', 'above', 'previous', 'earlier', 'same',
+    'again', 'else', 'also', 'more',
+    'yo', 'tyo', 'yasko', 'tyasko', 'yaslai', 'tyaslai', 'ukta', 'uni', 'unko', 'pheri', 'aru',
+    'यो', 'त्यो', 'यसको', 'त्यसको', 'यसलाई', 'त्यसलाई', 'उक्त', 'उनी', 'उनको', 'फेरि', 'अरू', 'अरु', 'माथिको'
+]);
+
+const DEVANAGARI = /[\u0900-\u097F]/;
+
+/**
+ * Transliterate Devanagari to a coarse Latin form (inherent "a" dropped word-finally)
+ */
+export function transliterate(text) {
+    let output = '';
+    const chars = Array.from(text);
+
+    for (let i = 0; i < chars.length; i++) {
+        const char = chars[i];
+        const next = chars[i + 1];
+
+        if (CONSONANTS[char]) {
+            output += CONSONANTS[char];
+            // Inherent vowel unless followed by a vowel sign, virama or word end
+            const wordEnds = !next || !DEVANAGARI.test(next) || /[।॥]/.test(next);
+            if (!VOWEL_SIGNS[next] && next !== VIRAMA && next !== '़' && !wordEnds) {
+                output += 'a';
+            }
+        } else if (VOWELS[char]) {
+            output += VOWELS[char];
+        } else if (VOWEL_SIGNS[char]) {
+            output += VOWEL_SIGNS[char];
+        } else if (NASALS.test(char)) {
+            NASALS.lastIndex = 0;
+            output += 'n';
+        } else if (char >= '०' && char <= '९') {
+            output += String(char.charCodeAt(0) - 0x0966);
+        } else if (char !== VIRAMA && char !== '़' && char !== 'ः') {
+            output += char;
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Normalize a question to its matching skeleton
+ * @param {string} text - Question as typed or transcribed
+ * @returns {string} Lowercase Latin skeleton without punctuation
+ */
+export function normalizeQuestion(text = '') {
+    let skeleton = transliterate(text.normalize('NFC').toLowerCase())
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '') // Strip Latin diacritics (ā → a)
+        .replace(/['’]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+
+    // Folding English would merge unrelated words ("what" → "bht")
+    if (questionLanguage(text) === 'ne-NP') {
+        for (const [pattern, replacement] of ROMAN_FOLDS) {
+            skeleton = skeleton.replace(pattern, replacement);
+        }
+    }
+
+    return skeleton;
+}
+
+/**
+ * Language the answer is expected in (a code from languages.js)
+ * Devanagari is told apart by its words (Nepali, Hindi or Maithili);
+ * Latin text is romanized Nepali or English.
+ */
+export function questionLanguage(text = '') {
+    if (DEVANAGARI.test(text)) return detectDevanagariLanguage(text).language;
+
+    const words = text.toLowerCase().match(/[a-z]+/g) || [];
+    const markers = words.filter(word => ROMAN_NEPALI_MARKERS.has(word)).length;
+    return markers >= 2 || (words.length > 0 && markers / words.length >= 0.25) ? 'ne-NP' : 'en-US';
+}
+
+/**
+ * Whether a question can be answered without earlier conversation turns
+ */
+export function isContextFree(text = '') {
+    const words = text.toLowerCase().split(/[^a-z\u0900-\u097F]+/).filter(Boolean);
+    return words.length > 0 && !words.some(word => CONTEXT_WORDS.has(word));
+}
+
+function trigrams(skeleton) {
+    const grams = new Map();
+    const padded = ` ${skeleton} `;
+    for (let i = 0; i < padded.length - 2; i++) {
+        const gram = padded.slice(i, i + 3);
+        grams.set(gram, (grams.get(gram) || 0) + 1);
+    }
+    return grams;
+}
+
+function numbers(skeleton) {
+    return (skeleton.match(/\d+/g) || []).sort().join(',');
+}
+
+function qualifiers(words) {
+    const found = new Set();
+    for (const word of words) {
+        if (NEGATION_WORDS.has(word) || CONTRACTED_NEGATION.test(word) || NEPALI_NEGATION.test(word)) {
+            found.add('not');
+        } else if (QUALIFIER_WORDS.has(word)) {
+            found.add(word === 'upa' ? 'up' : word);
+        }
+    }
+    return [...found].sort().join(',');
+}
+
+/**
+ * Whether a word in `words` is a prefixed opposite of a bare word in `others`
+ * Folding collapses doubled letters (उपप्रधान → "uprdhn"), so the prefix's
+ * last letter may also start the bare word.
+ */
+function hasOpposite(words, others) {
+    return [...words].some(word => !others.has(word) && OPPOSITE_PREFIXES.some(prefix =>
+        word.length - prefix.length >= 3 && word.startsWith(prefix) &&
+        (others.has(word.slice(prefix.length)) || others.has(word.slice(prefix.length - 1)))));
+}
+
+function sameQualifiers(a, b) {
+    const wordsA = new Set(a.split(' '));
+    const wordsB = new Set(b.split(' '));
+    return qualifiers(wordsA) === qualifiers(wordsB) &&
+        !hasOpposite(wordsA, wordsB) && !hasOpposite(wordsB, wordsA);
+}
+
+/**
+ * Similarity of two normalized questions, 0–1 (trigram Dice coefficient)
+ * Returns 0 when the questions mention different numbers, negations or qualifiers.
+ */
+export function questionSimilarity(a, b) {
+    if (a === b) return 1;
+    if (numbers(a) !== numbers(b)) return 0;
+    if (!sameQualifiers(a, b)) return 0;
+
+    const gramsA = trigrams(a);
+    const gramsB = trigrams(b);
+    let shared = 0;
+    let total = 0;
+
+    for (const [gram, count] of gramsA) {
+        shared += Math.min(count, gramsB.get(gram) || 0);
+        total += count;
+    }
+    for (const count of gramsB.values()) {
+        total += count;
+    }
+
+    return total > 0 ? (2 * shared) / total : 0;
+}
@@ -0,0 +1,80 @@
+/**
+ * Language Identification
+ * Shared helpers for recognition with Azure language ID, so transcript and
+ * language come from a single recognition pass
+ *
+ * at-start   - language is identified once from the first seconds of audio
+ * continuous - language is re-identified per phrase (code-switching speakers)
+ */
+
+import * as sdk from 'microsoft-cognitiveservices-speech-sdk';
+import { AUTO_DETECT_LANGUAGES } from './languages.js';
+
+export const LID_MODES = ['at-start', 'continuous'];
+
+// Azure reports language ID confidence as a label
+const CONFIDENCE_SCORES = {
+    High: 0.95,
+    Medium: 0.75,
+    Low: 0.5,
+    Unknown: 0.3
+};
+
+/**
+ * Configure language ID on a speech config
+ * @param {Object} speechConfig - sdk.SpeechConfig (modified for continuous mode)
+ * @param {string} lidMode - 'at-start' or 'continuous'
+ * @returns {Object} sdk.AutoDetectSourceLanguageConfig for the recognizer
+ */
+export function createLanguageIdConfig(speechConfig, lidMode = 'at-start') {
+    if (lidMode === 'continuous') {
+        speechConfig.setProperty(sdk.PropertyId.SpeechServiceConnection_LanguageIdMode, 'Continuous');
+    }
+    return sdk.AutoDetectSourceLanguageConfig.fromLanguages(AUTO_DETECT_LANGUAGES);
+}
+
+/**
+ * Read the identified language of a recognition result
+ * @returns {Object} { language, confidence } with language null when not identified
+ */
+export function readLanguageId(result) {
+    const language = AUTO_DETECT_LANGUAGES.includes(result?.language) ? result.language : null;
+    return {
+        language,
+        confidence: language ? CONFIDENCE_SCORES[result.languageDetectionConfidence] ?? 0.6 : 0
+    };
+}
+
+/**
+ * Combine per-phrase results into one transcript and language
+ * The language with the most recognized text wins; confidence is scaled by
+ * its share of the text, so mixed-language audio scores lower.
+ * @param {Array} phrases - [{ text, language, confidence }]
+ * @returns {Object} { transcript, language, confidence }
+ */
+export function combinePhrases(phrases) {
+    const recognized = phrases.filter(phrase => phrase.text);
+    const totals = new Map();
+    let totalLength = 0;
+
+    for (const { text, language, confidence } of recognized) {
+        const total = totals.get(language) || { length: 0, weighted: 0 };
+        total.length += text.length;
+        total.weighted += text.length * confidence;
+        totals.set(language, total);
+        totalLength += text.length;
+    }
+
+    let best = null;
+    for (const [language, total] of totals) {
+        if (!best || total.length > best.length) {
+            best = { language, ...total };
+        }
+    }
+
+    return {
+        transcript: recognized.map(phrase => phrase.text).join(' '),
+        language: best?.language || 'en-US',
+        confidence: best && best.language ? best.weighted / totalLength : 0
+    };
+}
@@ -0,0 +1,54 @@
+/**
+ * Languages
+ * Registry of the languages the assistant understands and answers in:
+ * - recognition: Azure STT locale used to transcribe the language
+ * - autoDetect: candidate for language ID when the preferred language is 'auto'
+ *   (at most 4 for at-start language ID)
+ * - script: 'latin' or 'devanagari'; Devanagari languages are told apart by
+ *   words in the text (see textLanguage.js)
+ *
+ * Azure has no Maithili STT or TTS: Maithili is transcribed with the Hindi
+ * model, labelled from its text, and spoken through the voice catalog's
+ * fallback (config/voices.json).
+ */
+
+export const LANGUAGES = Object.freeze({
+    'en-US': { name: 'English', nativeName: 'English', script: 'latin', recognition: 'en-US', autoDetect: true },
+    'ne-NP': { name: 'Nepali', nativeName: 'नेपाली', script: 'devanagari', recognition: 'ne-NP', autoDetect: true },
+    'hi-IN': { name: 'Hindi', nativeName: 'हिन्दी', script: 'devanagari', recognition: 'hi-IN', autoDetect: true },
+    'mai-NP': { name: 'Maithili', nativeName: 'मैथिली', script: 'devanagari', recognition: 'hi-IN', autoDetect: false }
+});
+
+export const SUPPORTED_LANGUAGES = Object.freeze(Object.keys(LANGUAGES));
+export const AUTO_DETECT_LANGUAGES = Object.freeze(SUPPORTED_LANGUAGES.filter(code => LANGUAGES[code].autoDetect));
+export const DEVANAGARI_LANGUAGES = Object.freeze(SUPPORTED_LANGUAGES.filter(code => LANGUAGES[code].script === 'devanagari'));
+
+// Devanagari text without distinguishing words is taken as Nepali
+export const DEFAULT_DEVANAGARI_LANGUAGE = 'ne-NP';
+
+export function isDevanagariLanguage(code) {
+    return DEVANAGARI_LANGUAGES.includes(code);
+}
+
+/**
+ * STT locale for a language; unknown codes are passed through
+ */
+export function getRecognitionLanguage(code) {
+    return LANGUAGES[code]?.recognition || code;
+}
+
+/**
+ * Agent instruction to answer in the user's language
+ * @param {string} code - Language of the user's message
+ * @returns {string|null} Instruction, or null for unknown languages
+ */
+export function getLanguageInstruction(code) {
+    const language = LANGUAGES[code];
+    if (!language) return null;
+
+    if (language.script === 'latin') {
+        return `The user is writing in ${language.name}. Answer in ${language.name}.`;
+    }
+    return `The user is writing in ${language.name} (${language.nativeName}). ` +
+        `Answer in ${language.name}, in Devanagari script, not in another language that uses it.`;
+}
@@ -0,0 +1,259 @@
+/**
+ * LRU Cache
+ * Map-backed least-recently-used cache with TTL, entry and byte budgets,
+ * and hit/miss/eviction counters. Used by CacheService for each cache tier.
+ */
+
+export class LruCache {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Name used in stats and logs
+     * @param {number} options.maxEntries - Maximum number of entries
+     * @param {number} options.maxBytes - Maximum estimated size of all entries
+     * @param {number} options.ttl - Entry lifetime in ms
+     */
+    constructor({ name, maxEntries, maxBytes, ttl }) {
+        this.name = name;
+        this.maxEntries = maxEntries;
+        this.maxBytes = maxBytes;
+        this.ttl = ttl;
+
+        // Map iteration order is insertion order: first key = least recently used
+        this.entries = new Map();
+        this.bytes = 0;
+
+        this.counters = {
+            hits: 0,
+            misses: 0,
+            evictions: 0,
+            expirations: 0,
+            rejected: 0 // Values larger than the whole byte budget
+        };
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Get a value and mark it as most recently used
+     * @param {string} key - Cache key
+     * @returns {*} Cached value or null
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+
+        if (!entry) {
+            this.counters.misses++;
+            return null;
+        }
+
+        if (entry.expires <= Date.now()) {
+            this.remove(key, entry);
+            this.counters.expirations++;
+            this.counters.misses++;
+            return null;
+        }
+
+        // Re-insert to move the key to the most recently used end
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        entry.hits++;
+        this.counters.hits++;
+        return entry.value;
+    }
+
+    /**
+     * Store a value, evicting least recently used entries to stay within budget
+     * @param {string} key - Cache key
+     * @param {*} value - Value to cache
+     * @param {Object} options
+     * @param {number} options.ttl - Entry lifetime in ms (defaults to the cache TTL)
+     * @param {Object} options.meta - Provenance kept alongside the entry (source, modelVersion, ...)
+     * @returns {boolean} False if the value alone exceeds the byte budget
+     */
+    set(key, value, { ttl = this.ttl, meta = {} } = {}) {
+        const bytes = LruCache.estimateSize(key, value);
+
+        if (bytes > this.maxBytes) {
+            this.counters.rejected++;
+            return false;
+        }
+
+        if (this.entries.has(key)) {
+            this.remove(key, this.entries.get(key));
+        }
+
+        while (this.entries.size > 0 &&
+               (this.entries.size >= this.maxEntries || this.bytes + bytes > this.maxBytes)) {
+            this.evictOldest();
+        }
+
+        const now = Date.now();
+        this.entries.set(key, {
+            value,
+            bytes,
+            expires: now + ttl,
+            meta: { createdAt: now, ...meta },
+            hits: 0
+        });
+        this.bytes += bytes;
+        return true;
+    }
+
+    /**
+     * Iterate live entries as [key, value] without counting lookups or changing recency
+     */
+    *scan() {
+        const now = Date.now();
+        for (const [key, entry] of this.entries) {
+            if (entry.expires > now) {
+                yield [key, entry.value];
+            }
+        }
+    }
+
+    /**
+     * Remove a key
+     * @returns {boolean} True if the key was present
+     */
+    delete(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return false;
+        }
+        this.remove(key, entry);
+        return true;
+    }
+
+    /**
+     * Remove all entries (counters are kept)
+     */
+    clear() {
+        this.entries.clear();
+        this.bytes = 0;
+    }
+
+    /**
+     * Remove expired entries
+     * @returns {number} Number of entries removed
+     */
+    clearExpired() {
+        const now = Date.now();
+        let cleared = 0;
+
+        for (const [key, entry] of this.entries) {
+            if (entry.expires <= now) {
+                this.remove(key, entry);
+                this.counters.expirations++;
+                cleared++;
+            }
+        }
+
+        return cleared;
+    }
+
+    /**
+     * Evict the least recently used fraction of entries when the cache is nearly full
+     * @param {number} fraction - Share of entries to evict (default 25%)
+     * @param {number} threshold - Fill level of entries or bytes that triggers pruning (default 90%)
+     * @returns {Object} { entries, bytes } removed
+     */
+    prune(fraction = 0.25, threshold = 0.9) {
+        const nearlyFull = this.entries.size >= this.maxEntries * threshold ||
+                           this.bytes >= this.maxBytes * threshold;
+        if (!nearlyFull) {
+            return { entries: 0, bytes: 0 };
+        }
+
+        const startBytes = this.bytes;
+        const toRemove = Math.max(1, Math.floor(this.entries.size * fraction));
+        for (let i = 0; i < toRemove; i++) {
+            this.evictOldest();
+        }
+
+        return { entries: toRemove, bytes: startBytes - this.bytes };
+    }
+
+    /**
+     * Get size, budget and counter statistics
+     */
+    getStats() {
+        const lookups = this.counters.hits + this.counters.misses;
+        return {
+            name: this.name,
+            size: this.entries.size,
+            maxSize: this.maxEntries,
+            bytes: this.bytes,
+            maxBytes: this.maxBytes,
+            ttl: this.ttl,
+            ...this.counters,
+            hitRate: lookups > 0 ? this.counters.hits / lookups : 0
+        };
+    }
+
+    /**
+     * Describe live entries, most recently used first
+     * @param {number} limit - Maximum entries to describe
+     * @returns {Array} [{ key, bytes, hits, createdAt, expiresAt, ...meta }]
+     */
+    describeEntries(limit = 50) {
+        const now = Date.now();
+        const described = [];
+
+        for (const [key, entry] of Array.from(this.entries).reverse()) {
+            if (described.length >= limit) break;
+            if (entry.expires <= now) continue;
+
+            described.push({
+                key,
+                bytes: entry.bytes,
+                hits: entry.hits,
+                ...entry.meta,
+                createdAt: new Date(entry.meta.createdAt).toISOString(),
+                expiresAt: new Date(entry.expires).toISOString()
+            });
+        }
+
+        return described;
+    }
+
+    evictOldest() {
+        const [key, entry] = this.entries.entries().next().value;
+        this.remove(key, entry);
+        this.counters.evictions++;
+    }
+
+    remove(key, entry) {
+        this.entries.delete(key);
+        this.bytes -= entry.bytes;
+    }
+
+    /**
+     * Estimate the memory cost of an entry in bytes (UTF-8 length of key and value)
+     * Buffers, including ones nested in objects, count at their byte length.
+     */
+    static estimateSize(key, value) {
+        let valueBytes;
+        if (Buffer.isBuffer(value)) {
+            valueBytes = value.length;
+        } else if (typeof value === 'string') {
+            valueBytes = Buffer.byteLength(value);
+        } else {
+            let bufferBytes = 0;
+            const json = JSON.stringify(value, function (field, item) {
+                const raw = this[field];
+                if (Buffer.isBuffer(raw)) {
+                    bufferBytes += raw.length;
+                    return null;
+                }
+                return item;
+            });
+            valueBytes = Buffer.byteLength(json ?? '') + bufferBytes;
+        }
+        return Buffer.byteLength(key) + valueBytes;
+    }
+}
+
+export default LruCache;
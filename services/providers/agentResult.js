@@ -0,0 +1,83 @@
+/**
+ * Agent result shape shared by all providers
+ *
+ * @typedef {Object} AgentContentPart
+ * @property {string} type - 'text', 'image_file', or the provider's own part type
+ * @property {string} [text] - Text value (text parts)
+ * @property {Array} [annotations] - Raw citation annotations (text parts)
+ * @property {string} [fileId] - File reference (image/file parts)
+ *
+ * @typedef {Object} AgentMessage
+ * @property {string|null} id - Provider message id
+ * @property {string} role - 'user' or 'assistant'
+ * @property {AgentContentPart[]} content - Content parts in order
+ * @property {string} text - All text parts joined
+ * @property {string} createdAt - ISO timestamp
+ *
+ * @typedef {Object} AgentUsage
+ * @property {number} promptTokens
+ * @property {number} completionTokens
+ * @property {number} totalTokens
+ *
+ * @typedef {Object} AgentResult
+ * @property {string} status - Final run status ('completed', 'incomplete', ...)
+ * @property {string|null} runId
+ * @property {string} threadId
+ * @property {string} agentId
+ * @property {string|null} model - Model (deployment) name behind the agent, when known
+ * @property {AgentMessage[]} messages - The user message and the assistant replies of this run, oldest first
+ * @property {string} response - Latest assistant text with numbered citation references
+ * @property {Array} sources - Citations referenced by `response`
+ * @property {AgentUsage|null} usage - Token counts for the run when reported
+ */
+
+/**
+ * Build a message entry
+ * @returns {AgentMessage}
+ */
+export function createAgentMessage({ id = null, role, content = [], createdAt = new Date() }) {
+  return {
+    id,
+    role,
+    content,
+    text: content
+      .filter((part) => part.type === 'text' && part.text)
+      .map((part) => part.text)
+      .join('\n'),
+    createdAt: new Date(createdAt).toISOString()
+  };
+}
+
+/**
+ * Normalize provider token counts ({ promptTokens } or { prompt_tokens })
+ * @returns {AgentUsage|null}
+ */
+export function normalizeUsage(usage) {
+  if (!usage) return null;
+  const promptTokens = usage.promptTokens ?? usage.prompt_tokens ?? 0;
+  const completionTokens = usage.completionTokens ?? usage.completion_tokens ?? 0;
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: usage.totalTokens ?? usage.total_tokens ?? promptTokens + completionTokens
+  };
+}
+
+/**
+ * Build the result returned by runConversation()
+ * @returns {AgentResult}
+ */
+export function createAgentResult({ status, runId = null, threadId, agentId, model = null, messages = [], sources = [], usage = null }) {
+  const replies = messages.filter((m) => m.role === 'assistant' && m.text);
+  return {
+    status,
+    runId,
+    threadId,
+    agentId,
+    model,
+    messages,
+    response: replies.map((m) => m.text).join('\n\n'),
+    sources,
+    usage: normalizeUsage(usage)
+  };
+}
@@ -0,0 +1,300 @@
+/**
+ * AzureAgentProvider - Azure AI Foundry agent backend
+ * Threads and runs are managed by Foundry; the provider maps sessions to threads
+ */
+import { AIProjectClient } from '@azure/ai-projects';
+import { DefaultAzureCredential } from '@azure/identity';
+import { applyCitations, createCitationStripper } from './citations.js';
+import { createAgentMessage, createAgentResult, normalizeUsage } from './agentResult.js';
+
+export class AzureAgentProvider {
+  constructor(options = {}) {
+    this.name = 'azure';
+    this.endpoint = options.endpoint || process.env.AZURE_AGENT_ENDPOINT;
+    this.agentId = options.agentId || process.env.AZURE_AGENT_ID;
+    this.client = null;
+    this.threads = new Map(); // sessionId → threadId (used when no thread store is configured)
+    this.threadStore = options.threadStore || null; // Shared session store: getThreadId/setThreadId
+    this.fileNames = new Map(); // fileId → filename
+  }
+
+  async initialize() {
+    if (!this.endpoint || !this.agentId) {
+      throw new Error('Missing AZURE_AGENT_ENDPOINT or AZURE_AGENT_ID');
+    }
+    this.client = new AIProjectClient(this.endpoint, new DefaultAzureCredential());
+    await this.checkHealth();
+  }
+
+  async runConversation(sessionId, userMessage, options = {}) {
+    // Retrieve agent
+    const agent = await this.client.agents.getAgent(this.agentId);
+    console.log(`Retrieved agent: ${agent.name}`);
+
+    // Thread by session
+    const thread = await this.getOrCreateThread(sessionId);
+
+    // Post user message
+    const message = await this.client.agents.messages.create(thread.id, "user", userMessage);
+    console.log(`Created message, ID: ${message.id}`);
+
+    // Create run
+    let run = await this.client.agents.runs.create(thread.id, agent.id, this.runOptions(options));
+    // Poll run status
+    while (run.status === "queued" || run.status === "in_progress") {
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+      run = await this.client.agents.runs.get(thread.id, run.id);
+    }
+    if (run.status === "failed") {
+      console.error(`Run failed: `, run.lastError);
+      throw new Error(run.lastError?.message || 'Agent run failed');
+    }
+    console.log(`Run completed with status: ${run.status}`);
+
+    // Retrieve messages in descending order to get the latest first
+    const messages = await this.client.agents.messages.list(thread.id, { order: "desc" });
+    console.log(`[DEBUG] Retrieving messages from thread ${thread.id}`);
+    const runMessages = [];
+
+    for await (const m of messages) {
+      runMessages.push(m);
+      // Stop at the user message that triggered this run
+      if (m.role === "user") break;
+    }
+
+    // Reverse to maintain chronological order (user first, then assistant)
+    runMessages.reverse();
+
+    const sources = [];
+    const conversation = [];
+    for (const m of runMessages) {
+      conversation.push(await this.toAgentMessage(m, m.role === "assistant" ? sources : null));
+    }
+
+    console.log(`[DEBUG] Latest conversation (${conversation.length} messages):`);
+    conversation.forEach((msg, idx) => {
+      const preview = msg.text.substring(0, 100) + (msg.text.length > 100 ? '...' : '');
+      console.log(`  [${idx}] ${msg.role}: ${preview}`);
+    });
+
+    return createAgentResult({
+      status: run.status,
+      runId: run.id,
+      threadId: thread.id,
+      agentId: agent.id,
+      model: agent.model,
+      messages: conversation,
+      sources,
+      usage: run.usage
+    });
+  }
+
+  /**
+   * Convert a Foundry thread message into the shared message shape
+   * Citation markers are replaced with numbered references when `sources` is given
+   */
+  async toAgentMessage(m, sources = null) {
+    const content = [];
+
+    for (const part of m.content) {
+      if (part.type === "text" && "text" in part) {
+        const text = sources
+          ? await applyCitations(part.text, (fileId) => this.resolveFileName(fileId), sources)
+          : part.text.value;
+        content.push({ type: "text", text, annotations: part.text.annotations || [] });
+      } else if (part.type === "image_file") {
+        content.push({ type: "image_file", fileId: part.imageFile?.fileId });
+      } else {
+        content.push({ type: part.type });
+      }
+    }
+
+    return createAgentMessage({
+      id: m.id,
+      role: m.role,
+      content,
+      createdAt: m.createdAt
+    });
+  }
+
+  async *streamConversation(sessionId, userMessage, options = {}) {
+    const agent = await this.client.agents.getAgent(this.agentId);
+    const thread = await this.getOrCreateThread(sessionId);
+
+    const message = await this.client.agents.messages.create(thread.id, "user", userMessage);
+    console.log(`Created message, ID: ${message.id}`);
+
+    const stream = await this.client.agents.runs.create(thread.id, agent.id, this.runOptions(options)).stream();
+    let runId = null;
+    let status = null;
+    let text = ''; // Annotated text of the completed assistant messages
+    let messageText = ''; // Streamed text of the message in progress
+    const sources = [];
+    let usage = null;
+    const citations = createCitationStripper();
+
+    // Replies are joined as in AgentResult.response; the first delta of a later reply carries the break
+    const separator = () => (text && !messageText ? '\n\n' : '');
+
+    for await (const eventMessage of stream) {
+      const { event, data } = eventMessage;
+
+      if (event.startsWith('thread.run.') && !event.startsWith('thread.run.step.')) {
+        runId = data.id || runId;
+        status = data.status || event.substring('thread.run.'.length);
+        usage = data.usage || usage;
+        yield { type: 'status', status, runId };
+
+        if (event === 'thread.run.failed') {
+          console.error(`Run failed: `, data.lastError);
+          throw new Error(data.lastError?.message || 'Agent run failed');
+        }
+      } else if (event === 'thread.message.delta') {
+        for (const part of data.delta?.content || []) {
+          if (part.type !== 'text') continue;
+          const value = citations.push(part.text?.value);
+          if (value) {
+            const delta = separator() + value;
+            messageText += value;
+            yield { type: 'delta', text: delta };
+          }
+        }
+      } else if (event === 'thread.message.completed' && data.role === 'assistant') {
+        const rest = citations.flush();
+        if (rest) {
+          const delta = separator() + rest;
+          messageText += rest;
+          yield { type: 'delta', text: delta };
+        }
+
+        // The completed message carries the full annotations; sources are numbered across replies
+        const parts = (data.content || []).filter((c) => c.type === 'text' && 'text' in c);
+        let reply = messageText;
+        if (parts.length > 0) {
+          const annotated = [];
+          for (const part of parts) {
+            annotated.push(await applyCitations(part.text, (fileId) => this.resolveFileName(fileId), sources));
+          }
+          reply = annotated.join('\n');
+        }
+
+        if (reply) {
+          text = text ? `${text}\n\n${reply}` : reply;
+        }
+        messageText = '';
+      } else if (event === 'error') {
+        throw new Error(typeof data === 'string' ? data : 'Agent stream error');
+      } else if (event === 'done') {
+        break;
+      }
+    }
+
+    // A reply that never completed keeps its streamed text
+    const rest = citations.flush();
+    if (rest) {
+      const delta = separator() + rest;
+      messageText += rest;
+      yield { type: 'delta', text: delta };
+    }
+    if (messageText) {
+      text = text ? `${text}\n\n${messageText}` : messageText;
+    }
+
+    console.log(`Streamed run completed with status: ${status}`);
+
+    yield {
+      type: 'done',
+      status,
+      response: text,
+      sources,
+      usage: normalizeUsage(usage),
+      threadId: thread.id,
+      agentId: agent.id,
+      model: agent.model,
+      runId
+    };
+  }
+
+  /**
+   * Run creation options for a turn
+   */
+  runOptions({ additionalInstructions } = {}) {
+    return additionalInstructions ? { additionalInstructions } : {};
+  }
+
+  /**
+   * Resolve the Foundry thread for a session, creating one on first use
+   * With a thread store the mapping lives in the session store, so every
+   * instance (and a restarted process) continues the same Foundry thread
+   */
+  async getOrCreateThread(sessionId) {
+    if (sessionId) {
+      const threadId = this.threadStore
+        ? await this.threadStore.getThreadId(sessionId)
+        : this.threads.get(sessionId);
+      if (threadId) {
+        return { id: threadId };
+      }
+    }
+
+    const thread = await this.client.agents.threads.create();
+    console.log(`Created thread, ID: ${thread.id}`);
+
+    if (sessionId) {
+      if (this.threadStore) {
+        await this.threadStore.setThreadId(sessionId, thread.id);
+      } else {
+        this.threads.set(sessionId, thread.id);
+      }
+    }
+    return thread;
+  }
+
+  /**
+   * Look up the uploaded filename for a cited file (cached)
+   */
+  async resolveFileName(fileId) {
+    if (this.fileNames.has(fileId)) {
+      return this.fileNames.get(fileId);
+    }
+
+    try {
+      const file = await this.client.agents.files.get(fileId);
+      this.fileNames.set(fileId, file.filename);
+      return file.filename;
+    } catch (error) {
+      console.error(`Could not resolve cited file ${fileId}:`, error.message);
+      return null;
+    }
+  }
+
+  async checkHealth() {
+    try {
+      await this.client.agents.listAgents({ limit: 1 });
+      return true;
+    } catch (error) {
+      console.error("Agent health check failed:", error);
+      return false;
+    }
+  }
+
+  async deleteThread(sessionId, threadId = null) {
+    const id = threadId || this.threads.get(sessionId);
+    this.threads.delete(sessionId);
+
+    if (id && this.client) {
+      await this.client.agents.threads.delete(id);
+      console.log(`Deleted thread, ID: ${id}`);
+    }
+  }
+
+  clearThreadCache() {
+    this.threads.clear();
+  }
+
+  async close() {
+    this.client = null;
+  }
+}
+
+export default AzureAgentProvider;
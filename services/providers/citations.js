@@ -0,0 +1,116 @@
+/**
+ * Citation helpers for agent file-search annotations
+ * Foundry marks cited passages inline as 【4:0†source】 and attaches a
+ * file_citation annotation (file id, quote, text span) for each marker.
+ * These helpers turn them into numbered references and a sources list.
+ */
+
+// Inline citation markers, e.g. 【4:0†source】 or 【4:0†constitution.pdf】
+export const CITATION_MARKER_REGEX = /\s?【[^】]*】/g;
+
+/**
+ * Derive a readable document title from an uploaded filename
+ */
+export function titleFromFilename(filename) {
+  if (!filename) return null;
+  return filename
+    .replace(/\.[a-z0-9]+$/i, '')
+    .replace(/[_-]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Pull an optional page number out of a quote or marker ("page 12", "p. 12", "पृष्ठ १२")
+ */
+function extractPage(text = '') {
+  const match = text.match(/(?:\bpage|\bp\.|पृष्ठ)\s*([0-9०-९]+)/i);
+  if (!match) return null;
+  const digits = match[1].replace(/[०-९]/g, (d) => String(d.charCodeAt(0) - 0x0966));
+  return parseInt(digits, 10);
+}
+
+/**
+ * Replace citation markers in a text content part with numbered references
+ * @param {Object} textContent - Message text part ({ value, annotations })
+ * @param {Function} resolveFile - async (fileId) => filename | null
+ * @param {Array} sources - Sources collected so far (shared across parts of a message)
+ * @returns {Promise<string>} Text with [n] references
+ */
+export async function applyCitations(textContent, resolveFile, sources = []) {
+  let text = textContent?.value || '';
+  const annotations = (textContent?.annotations || [])
+    .filter((a) => a.type === 'file_citation' && a.text);
+
+  for (const annotation of annotations) {
+    const fileId = annotation.fileCitation?.fileId || null;
+    const quote = annotation.fileCitation?.quote || '';
+
+    // Same file and quote share one reference number
+    let source = sources.find((s) => s.fileId === fileId && s.quote === quote);
+    if (!source) {
+      const filename = fileId ? await resolveFile(fileId) : null;
+      source = {
+        id: sources.length + 1,
+        fileId,
+        filename,
+        title: titleFromFilename(filename) || 'Source document',
+        quote,
+        page: extractPage(quote) ?? extractPage(annotation.text),
+        span: {
+          start: annotation.startIndex ?? null,
+          end: annotation.endIndex ?? null
+        }
+      };
+      sources.push(source);
+    }
+
+    text = text.split(annotation.text).join(` [${source.id}]`);
+  }
+
+  // Drop any markers the service did not annotate
+  text = text.replace(CITATION_MARKER_REGEX, '').replace(/ +\[(\d+)\]/g, ' [$1]');
+
+  return text;
+}
+
+// Longest text held back waiting for a marker to close; a lone 【 is released after this
+const MAX_PENDING_MARKER = 200;
+
+/**
+ * Remove inline citation markers from a complete text
+ */
+export function stripCitationMarkers(text = '') {
+  return text.replace(CITATION_MARKER_REGEX, '');
+}
+
+/**
+ * Remove citation markers from streamed text deltas
+ * A marker can arrive split across deltas ("【4:0†so" + "urce】"), so text from
+ * an unclosed 【 (and the space before it) is held back until 】 arrives.
+ * @returns {Object} { push(delta) => text to emit, flush() => text still held }
+ */
+export function createCitationStripper() {
+  let pending = '';
+
+  return {
+    push(delta = '') {
+      const text = pending + delta;
+      const open = text.lastIndexOf('【');
+
+      if (open === -1 || text.indexOf('】', open) !== -1 || text.length - open > MAX_PENDING_MARKER) {
+        pending = '';
+        return stripCitationMarkers(text);
+      }
+
+      const holdFrom = open > 0 && /\s/.test(text[open - 1]) ? open - 1 : open;
+      pending = text.slice(holdFrom);
+      return stripCitationMarkers(text.slice(0, holdFrom));
+    },
+
+    flush() {
+      const text = stripCitationMarkers(pending);
+      pending = '';
+      return text;
+    }
+  };
+}
@@ -0,0 +1,28 @@
+/**
+ * Agent provider registry
+ * Every provider implements: initialize(), runConversation(sessionId, message),
+ * checkHealth(), close(), clearThreadCache(), deleteThread(sessionId, threadId)
+ * and optionally streamConversation()
+ */
+import { AzureAgentProvider } from './azureAgentProvider.js';
+import { OpenAIChatProvider } from './openAIChatProvider.js';
+import { MockAgentProvider } from './mockAgentProvider.js';
+
+const providers = {
+  azure: AzureAgentProvider,
+  openai: OpenAIChatProvider,
+  mock: MockAgentProvider
+};
+
+/**
+ * Create an agent provider by name ('azure', 'openai' or 'mock')
+ */
+export function createAgentProvider(name = 'azure', options = {}) {
+  const Provider = providers[name.toLowerCase()];
+  if (!Provider) {
+    throw new Error(`Unknown agent provider "${name}". Expected one of: ${Object.keys(providers).join(', ')}`);
+  }
+  return new Provider(options);
+}
+
+export { AzureAgentProvider, OpenAIChatProvider, MockAgentProvider };
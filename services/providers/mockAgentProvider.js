@@ -0,0 +1,104 @@
+/**
+ * MockAgentProvider - Deterministic in-process backend
+ * Lets the whole server run offline (tests, local UI work) without Azure
+ * The same message always produces the same reply
+ */
+import { createAgentMessage, createAgentResult } from './agentResult.js';
+
+export class MockAgentProvider {
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.delay = parseInt(options.delay ?? process.env.MOCK_AGENT_DELAY_MS) || 0;
+    this.threads = new Map(); // sessionId → turn count
+  }
+
+  async initialize() {}
+
+  /**
+   * Build the canned reply for a message
+   */
+  reply(userMessage) {
+    if (/[\u0900-\u097F]/.test(userMessage)) {
+      return `नमस्ते! तपाईंले सोध्नुभयो: "${userMessage}"। यो परीक्षण उत्तर हो।`;
+    }
+    return `This is a mock response to: "${userMessage}"`;
+  }
+
+  /**
+   * Word counts stand in for token usage
+   */
+  usage(userMessage, text) {
+    const promptTokens = userMessage.split(/\s+/).filter(Boolean).length;
+    const completionTokens = text.split(/\s+/).filter(Boolean).length;
+    return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+  }
+
+  async runConversation(sessionId, userMessage) {
+    if (this.delay) {
+      await new Promise((resolve) => setTimeout(resolve, this.delay));
+    }
+
+    const key = sessionId || 'default';
+    const turn = (this.threads.get(key) || 0) + 1;
+    this.threads.set(key, turn);
+
+    const text = this.reply(userMessage);
+    return createAgentResult({
+      status: 'completed',
+      runId: `mock_run_${key}_${turn}`,
+      threadId: `mock_${key}`,
+      agentId: 'mock-agent',
+      model: 'mock',
+      messages: [
+        createAgentMessage({ id: `mock_msg_${key}_${turn}_user`, role: 'user', content: [{ type: 'text', text: userMessage }] }),
+        createAgentMessage({ id: `mock_msg_${key}_${turn}_assistant`, role: 'assistant', content: [{ type: 'text', text }] })
+      ],
+      usage: this.usage(userMessage, text)
+    });
+  }
+
+  async *streamConversation(sessionId, userMessage) {
+    const key = sessionId || 'default';
+    this.threads.set(key, (this.threads.get(key) || 0) + 1);
+
+    yield { type: 'status', status: 'queued' };
+    yield { type: 'status', status: 'in_progress' };
+
+    const text = this.reply(userMessage);
+    for (const word of text.split(/(?<= )/)) {
+      if (this.delay) {
+        await new Promise((resolve) => setTimeout(resolve, this.delay));
+      }
+      yield { type: 'delta', text: word };
+    }
+
+    yield { type: 'status', status: 'completed' };
+    yield {
+      type: 'done',
+      status: 'completed',
+      response: text,
+      sources: [],
+      usage: this.usage(userMessage, text),
+      threadId: `mock_${key}`,
+      agentId: 'mock-agent',
+      model: 'mock',
+      runId: null
+    };
+  }
+
+  async checkHealth() {
+    return true;
+  }
+
+  async deleteThread(sessionId) {
+    this.threads.delete(sessionId || 'default');
+  }
+
+  clearThreadCache() {
+    this.threads.clear();
+  }
+
+  async close() {}
+}
+
+export default MockAgentProvider;
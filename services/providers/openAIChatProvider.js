@@ -0,0 +1,200 @@
+/**
+ * OpenAIChatProvider - OpenAI-compatible chat completions backend
+ * Works with any server exposing POST {baseUrl}/chat/completions
+ * (OpenAI, Azure OpenAI with a compatible proxy, vLLM, Ollama, LM Studio, ...)
+ * Conversation history is kept in memory per session since the API is stateless
+ */
+import { createAgentMessage, createAgentResult, normalizeUsage } from './agentResult.js';
+
+const DEFAULT_INSTRUCTIONS =
+  'You are NRAI Kancha, a helpful assistant for questions about Nepal\'s Constitution, ' +
+  'political manifestos and legal frameworks. Answer in the language of the question.';
+
+export class OpenAIChatProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.baseUrl = (options.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    this.model = options.model || process.env.OPENAI_MODEL || 'gpt-4o-mini';
+    this.instructions = options.instructions || process.env.AGENT_INSTRUCTIONS || DEFAULT_INSTRUCTIONS;
+    this.maxHistory = parseInt(options.maxHistory || process.env.OPENAI_MAX_HISTORY) || 20;
+    this.timeout = parseInt(options.timeout || process.env.OPENAI_TIMEOUT_MS) || 60000;
+    this.threads = new Map(); // sessionId → [{ role, content }]
+  }
+
+  async initialize() {
+    if (!this.baseUrl) {
+      throw new Error('Missing OPENAI_BASE_URL');
+    }
+  }
+
+  async runConversation(sessionId, userMessage, options = {}) {
+    const history = this.getHistory(sessionId);
+
+    const userEntry = createAgentMessage({ role: 'user', content: [{ type: 'text', text: userMessage }] });
+    const data = await this.request({ stream: false, messages: this.buildMessages(history, userMessage, options) });
+    const choice = data.choices?.[0];
+    const text = choice?.message?.content || '';
+
+    this.recordExchange(history, userMessage, text);
+
+    return createAgentResult({
+      status: choice?.finish_reason === 'length' ? 'incomplete' : 'completed',
+      runId: data.id || null,
+      threadId: this.threadIdFor(sessionId),
+      agentId: this.model,
+      model: this.model,
+      messages: [
+        userEntry,
+        createAgentMessage({
+          id: data.id || null,
+          role: 'assistant',
+          content: [{ type: 'text', text }],
+          createdAt: data.created ? data.created * 1000 : Date.now()
+        })
+      ],
+      usage: data.usage
+    });
+  }
+
+  async *streamConversation(sessionId, userMessage, options = {}) {
+    const history = this.getHistory(sessionId);
+
+    const response = await this.request(
+      { stream: true, stream_options: { include_usage: true }, messages: this.buildMessages(history, userMessage, options) },
+      { raw: true }
+    );
+
+    yield { type: 'status', status: 'in_progress' };
+
+    let text = '';
+    let usage = null;
+    let buffer = '';
+    const decoder = new TextDecoder();
+
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+
+      // SSE frames are separated by blank lines; keep the trailing partial frame
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+
+        const payload = trimmed.substring(5).trim();
+        if (payload === '[DONE]') continue;
+
+        const parsed = JSON.parse(payload);
+        usage = parsed.usage || usage;
+
+        const delta = parsed.choices?.[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          yield { type: 'delta', text: delta };
+        }
+      }
+    }
+
+    this.recordExchange(history, userMessage, text);
+
+    yield { type: 'status', status: 'completed' };
+    yield {
+      type: 'done',
+      status: 'completed',
+      response: text,
+      sources: [],
+      usage: normalizeUsage(usage),
+      threadId: this.threadIdFor(sessionId),
+      agentId: this.model,
+      model: this.model,
+      runId: null
+    };
+  }
+
+  /**
+   * POST to the chat completions endpoint
+   */
+  async request(body, { raw = false } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ model: this.model, ...body }),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    if (!response.ok) {
+      const details = await response.text().catch(() => '');
+      throw new Error(`Chat completion failed (${response.status}): ${details.substring(0, 200)}`);
+    }
+
+    return raw ? response : response.json();
+  }
+
+  buildMessages(history, userMessage, { additionalInstructions } = {}) {
+    const system = additionalInstructions
+      ? `${this.instructions}\n\n${additionalInstructions}`
+      : this.instructions;
+    return [{ role: 'system', content: system }, ...history, { role: 'user', content: userMessage }];
+  }
+
+  getHistory(sessionId) {
+    const key = sessionId || 'default';
+    if (!this.threads.has(key)) {
+      this.threads.set(key, []);
+    }
+    return this.threads.get(key);
+  }
+
+  /**
+   * Add a completed exchange to the history
+   * Only answered messages are kept, and the oldest are dropped a whole
+   * exchange at a time, so the history always starts with a user message
+   */
+  recordExchange(history, userMessage, text) {
+    history.push({ role: 'user', content: userMessage }, { role: 'assistant', content: text });
+
+    const excess = history.length - this.maxHistory;
+    if (excess > 0) {
+      history.splice(0, excess + (excess % 2));
+    }
+  }
+
+  threadIdFor(sessionId) {
+    return `chat_${sessionId || 'default'}`;
+  }
+
+  async checkHealth() {
+    try {
+      const headers = this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+      const response = await fetch(`${this.baseUrl}/models`, {
+        headers,
+        signal: AbortSignal.timeout(5000)
+      });
+      return response.ok;
+    } catch (error) {
+      console.error('Chat completions health check failed:', error.message);
+      return false;
+    }
+  }
+
+  async deleteThread(sessionId) {
+    this.threads.delete(sessionId || 'default');
+  }
+
+  clearThreadCache() {
+    this.threads.clear();
+  }
+
+  async close() {
+    this.threads.clear();
+  }
+}
+
+export default OpenAIChatProvider;
@@ -0,0 +1,132 @@
+/**
+ * Recognition helpers shared by the speech services
+ * Continuous recognition over a complete buffer, and conversion of
+ * recognition results into timed transcript segments
+ *
+ * Segment times are in ms: { text, offset, duration, language,
+ * languageConfidence, confidence, words: [{ word, offset, duration, confidence }] }
+ */
+
+import * as sdk from 'microsoft-cognitiveservices-speech-sdk';
+import { readLanguageId } from './languageId.js';
+
+// The Speech SDK reports offsets and durations in 100ns ticks
+const TICKS_PER_MS = 10000;
+
+// 16kHz 16-bit mono PCM
+const PCM_BYTES_PER_MS = 32;
+
+// Recognition gets this long plus twice the audio duration before it is stopped
+const RECOGNITION_TIMEOUT_MS = 15000;
+const STOP_TIMEOUT_MS = 2000;
+
+/**
+ * Run continuous recognition until the input stream ends
+ * Unlike recognizeOnceAsync this does not stop after the first utterance.
+ * Recognition that has not ended within a time based on the audio length is
+ * stopped and rejected.
+ * @param {Object} recognizer - sdk.SpeechRecognizer over a closed push stream (closed afterwards)
+ * @param {Object} options - { audioBytes: length of the 16kHz 16-bit mono PCM being recognized }
+ * @returns {Promise<Array>} Recognized results in order
+ */
+export async function recognizeContinuously(recognizer, { audioBytes = 0 } = {}) {
+    const results = [];
+    const timeoutMs = RECOGNITION_TIMEOUT_MS + Math.round(2 * audioBytes / PCM_BYTES_PER_MS);
+    let timer = null;
+
+    try {
+        await new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`Recognition timed out after ${timeoutMs}ms`)), timeoutMs);
+
+            recognizer.recognized = (sender, e) => {
+                if (e.result.reason === sdk.ResultReason.RecognizedSpeech && e.result.text) {
+                    results.push(e.result);
+                }
+            };
+            recognizer.canceled = (sender, e) => {
+                if (e.reason === sdk.CancellationReason.Error) {
+                    reject(new Error(e.errorDetails));
+                } else {
+                    resolve(); // End of stream
+                }
+            };
+            recognizer.sessionStopped = () => resolve();
+
+            recognizer.startContinuousRecognitionAsync(() => {}, (error) => reject(new Error(error)));
+        });
+    } finally {
+        clearTimeout(timer);
+        await stopRecognition(recognizer);
+        recognizer.close();
+    }
+
+    return results;
+}
+
+/**
+ * Stop continuous recognition, giving up after STOP_TIMEOUT_MS
+ */
+function stopRecognition(recognizer) {
+    return new Promise((resolve) => {
+        setTimeout(resolve, STOP_TIMEOUT_MS).unref();
+        try {
+            recognizer.stopContinuousRecognitionAsync(resolve, resolve);
+        } catch {
+            resolve();
+        }
+    });
+}
+
+/**
+ * Convert a recognition result into a transcript segment
+ * Word timings are included when the config requested word-level timestamps.
+ * @param {Object} result - sdk.SpeechRecognitionResult
+ * @param {string} language - Recognition locale, or null to read it from language ID
+ * @returns {Object} Segment, with language null when language ID found none
+ */
+export function toSegment(result, language = null) {
+    const best = parseDetailedResult(result)?.NBest?.[0];
+    const identified = language
+        ? { language, confidence: null }
+        : readLanguageId(result);
+
+    return {
+        text: result.text,
+        offset: ticksToMs(result.offset),
+        duration: ticksToMs(result.duration),
+        language: identified.language,
+        languageConfidence: identified.confidence,
+        confidence: best?.Confidence ?? null,
+        words: (best?.Words || []).map(word => ({
+            word: word.Word,
+            offset: ticksToMs(word.Offset),
+            duration: ticksToMs(word.Duration),
+            confidence: word.Confidence ?? null
+        }))
+    };
+}
+
+/**
+ * Move a segment and its words onto another timeline
+ * @param {Object} segment - Segment from toSegment()
+ * @param {Function} mapTime - Maps an offset in ms to the target timeline
+ */
+export function mapSegmentTime(segment, mapTime) {
+    return {
+        ...segment,
+        offset: mapTime(segment.offset),
+        words: segment.words.map(word => ({ ...word, offset: mapTime(word.offset) }))
+    };
+}
+
+function parseDetailedResult(result) {
+    try {
+        return result.json ? JSON.parse(result.json) : null;
+    } catch {
+        return null;
+    }
+}
+
+function ticksToMs(ticks) {
+    return Math.round((ticks || 0) / TICKS_PER_MS);
+}
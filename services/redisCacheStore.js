@@ -0,0 +1,215 @@
+/**
+ * Redis Cache Store
+ * Shared second-level cache behind CacheService's in-memory LRU caches,
+ * so every instance in a cluster sees the same responses and transcripts
+ *
+ * Cluster-wide invalidation: writes, deletes and clears are published on
+ * 'cache:invalidate' and each instance drops the affected keys from its L1.
+ */
+
+import { createClient } from 'redis';
+import { v4 as uuidv4 } from 'uuid';
+
+export class RedisCacheStore {
+    constructor(options = {}) {
+        this.redisUrl = options.redisUrl || process.env.REDIS_URL || 'redis://localhost:6379';
+        this.client = null;
+        this.subscriber = null;
+        this.connected = false;
+
+        // Identifies this instance so it can ignore its own invalidation messages
+        this.instanceId = uuidv4();
+
+        this.config = {
+            prefix: 'cache:',
+            channel: 'cache:invalidate'
+        };
+
+        this.counters = {
+            hits: 0,
+            misses: 0,
+            writes: 0,
+            errors: 0,
+            invalidationsReceived: 0
+        };
+    }
+
+    /**
+     * Connect to Redis and subscribe to invalidation messages
+     * @param {Function} onInvalidate - Called with { key } or { all: true } from other instances
+     */
+    async initialize(onInvalidate) {
+        try {
+            // Reconnect after drops, but fail fast if the first connection is refused
+            const socket = {
+                reconnectStrategy: (retries) => this.connected ? Math.min(retries * 100, 3000) : false
+            };
+
+            this.client = createClient({ url: this.redisUrl, socket });
+            this.subscriber = createClient({ url: this.redisUrl, socket });
+
+            this.client.on('error', err => console.error('Redis Cache Client Error:', err.message));
+            this.subscriber.on('error', err => console.error('Redis Cache Subscriber Error:', err.message));
+
+            await Promise.all([
+                this.client.connect(),
+                this.subscriber.connect()
+            ]);
+
+            this.connected = true;
+
+            await this.subscriber.subscribe(this.config.channel, (message) => {
+                const { instanceId, ...invalidation } = JSON.parse(message);
+                if (instanceId === this.instanceId) return;
+
+                this.counters.invalidationsReceived++;
+                onInvalidate(invalidation);
+            });
+
+            console.log('✅ Redis Cache Store initialized');
+        } catch (error) {
+            console.error('❌ Failed to initialize Redis cache:', error.message);
+            this.connected = false;
+
+            console.log('⚠️ Falling back to per-instance memory cache');
+        }
+    }
+
+    /**
+     * Get a cached value and its remaining lifetime
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} { value, ttl } or null on miss
+     */
+    async get(key) {
+        if (!this.connected) return null;
+
+        try {
+            const redisKey = `${this.config.prefix}${key}`;
+            const [data, ttl] = await this.client.multi()
+                .get(redisKey)
+                .pTTL(redisKey)
+                .exec();
+
+            if (data === null) {
+                this.counters.misses++;
+                return null;
+            }
+
+            this.counters.hits++;
+            return { value: this.decode(data), ttl: ttl > 0 ? ttl : null };
+
+        } catch (error) {
+            this.counters.errors++;
+            console.error('Redis cache get error:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Store a value with a TTL and invalidate it on other instances
+     * @param {string} key - Cache key
+     * @param {*} value - JSON-serializable value (Buffers are preserved)
+     * @param {number} ttl - Lifetime in ms
+     */
+    async set(key, value, ttl) {
+        if (!this.connected) return;
+
+        try {
+            await this.client.set(`${this.config.prefix}${key}`, this.encode(value), { PX: ttl });
+            this.counters.writes++;
+            await this.publish({ key });
+
+        } catch (error) {
+            this.counters.errors++;
+            console.error('Redis cache set error:', error.message);
+        }
+    }
+
+    /**
+     * Remove a key on all instances
+     */
+    async delete(key) {
+        if (!this.connected) return;
+
+        try {
+            await this.client.del(`${this.config.prefix}${key}`);
+            await this.publish({ key });
+
+        } catch (error) {
+            this.counters.errors++;
+            console.error('Redis cache delete error:', error.message);
+        }
+    }
+
+    /**
+     * Remove all cache keys and clear every instance's L1
+     * @returns {Promise<number>} Number of Redis keys removed
+     */
+    async clear() {
+        if (!this.connected) return 0;
+
+        try {
+            let cleared = 0;
+            for await (const key of this.client.scanIterator({ MATCH: `${this.config.prefix}*`, COUNT: 100 })) {
+                cleared += await this.client.del(key);
+            }
+
+            await this.publish({ all: true });
+            return cleared;
+
+        } catch (error) {
+            this.counters.errors++;
+            console.error('Redis cache clear error:', error.message);
+            return 0;
+        }
+    }
+
+    /**
+     * Publish an invalidation message to other instances
+     */
+    async publish(invalidation) {
+        await this.client.publish(
+            this.config.channel,
+            JSON.stringify({ instanceId: this.instanceId, ...invalidation })
+        );
+    }
+
+    /**
+     * Serialize a value, keeping Buffers as base64 rather than byte arrays
+     */
+    encode(value) {
+        return JSON.stringify(value, function (key, item) {
+            const raw = this[key];
+            return Buffer.isBuffer(raw) ? { __buffer: raw.toString('base64') } : item;
+        });
+    }
+
+    decode(data) {
+        return JSON.parse(data, (key, item) =>
+            item && typeof item.__buffer === 'string' ? Buffer.from(item.__buffer, 'base64') : item
+        );
+    }
+
+    /**
+     * Get connection state and counters
+     */
+    getStats() {
+        return {
+            connected: this.connected,
+            ...this.counters
+        };
+    }
+
+    /**
+     * Graceful shutdown
+     */
+    async close() {
+        if (this.connected) {
+            this.connected = false;
+            await this.client.quit();
+            await this.subscriber.quit();
+        }
+    }
+}
+
+export default RedisCacheStore;
@@ -1,14 +1,17 @@
 /**
  * Redis Session Service for Distributed Session Management
  * Enables horizontal scaling across multiple server instances
+ * Implements the async session store contract described in sessionStore.js
  */
 
-import { createClient } from 'redis';
+import { createClient, WatchError } from 'redis';
 import { v4 as uuidv4 } from 'uuid';
+import { normalizePreferences, validatePreferences } from './sessionPreferences.js';
+import { createSessionRecord, normalizeSession, appendTurn, paginateHistory } from './sessionSchema.js';
 
 export class RedisSessionService {
-    constructor() {
-        this.redisUrl = process.env.REDIS_URL || 'redis://localhost:6379';
+    constructor(options = {}) {
+        this.redisUrl = options.redisUrl || process.env.REDIS_URL || 'redis://localhost:6379';
         this.client = null;
         this.subscriber = null;
         this.publisher = null;
@@ -16,18 +19,19 @@ export class RedisSessionService {
         
         // Session configuration
         this.config = {
-            ttl: parseInt(process.env.SESSION_TTL) || 86400, // 24 hours
+            ttl: Math.ceil((parseInt(process.env.SESSION_TTL) || 86400000) / 1000), // Seconds; SESSION_TTL is in ms
             prefix: 'session:',
             threadPrefix: 'thread:',
             lockPrefix: 'lock:',
-            metricsKey: 'metrics:sessions'
+            metricsKey: 'metrics:sessions',
+            maxHistory: parseInt(process.env.SESSION_MAX_HISTORY) || 200,
+            maxWriteAttempts: 5 // Optimistic writes retried when another instance wrote first
         };
         
         // Local cache for performance
         this.localCache = new Map();
         this.cacheSize = 100;
-        
-        this.initialize();
+        this.cleanupTimerId = null;
     }
 
     /**
@@ -35,12 +39,17 @@ export class RedisSessionService {
      */
     async initialize() {
         try {
+            // Reconnect after drops, but fail fast if the first connection is refused
+            const socket = {
+                reconnectStrategy: (retries) => this.connected ? Math.min(retries * 100, 3000) : false
+            };
+            
             // Main client for get/set operations
-            this.client = createClient({ url: this.redisUrl });
+            this.client = createClient({ url: this.redisUrl, socket });
             
             // Separate clients for pub/sub
-            this.subscriber = createClient({ url: this.redisUrl });
-            this.publisher = createClient({ url: this.redisUrl });
+            this.subscriber = createClient({ url: this.redisUrl, socket });
+            this.publisher = createClient({ url: this.redisUrl, socket });
             
             // Error handlers
             this.client.on('error', err => console.error('Redis Client Error:', err));
@@ -64,7 +73,7 @@ export class RedisSessionService {
             
             console.log('✅ Redis Session Service initialized');
         } catch (error) {
-            console.error('❌ Failed to initialize Redis:', error);
+            console.error('❌ Failed to initialize Redis:', error.message);
             this.connected = false;
             
             // Fallback to in-memory if Redis fails
@@ -92,45 +101,66 @@ export class RedisSessionService {
     }
 
     /**
-     * Get or create session with distributed locking
+     * Get an existing session without creating one
      */
     async getSession(sessionId) {
+        if (!sessionId) {
+            return null;
+        }
+        
         // Check local cache first
         if (this.localCache.has(sessionId)) {
             const cached = this.localCache.get(sessionId);
-            if (cached.expires > Date.now()) {
+            if (!this.connected || cached.expires > Date.now()) {
                 return cached.data;
             }
             this.localCache.delete(sessionId);
         }
         
         if (!this.connected) {
-            return this.getSessionFallback(sessionId);
+            return null;
         }
         
         try {
             const key = `${this.config.prefix}${sessionId}`;
             const data = await this.client.get(key);
             
-            if (data) {
-                const session = JSON.parse(data);
-                
-                // Update local cache
-                this.cacheSession(sessionId, session);
-                
-                // Update last activity
-                await this.updateActivity(sessionId);
-                
-                return session;
+            if (!data) {
+                return null;
             }
             
-            // Create new session with distributed lock
-            return await this.createSessionWithLock(sessionId);
+            const session = normalizeSession(JSON.parse(data));
+            
+            // Update local cache
+            this.cacheSession(sessionId, session);
+            
+            // Update last activity
+            await this.updateActivity(sessionId);
+            
+            return session;
             
         } catch (error) {
             console.error('Redis get session error:', error);
-            return this.getSessionFallback(sessionId);
+            return null;
+        }
+    }
+
+    /**
+     * Get or create session with distributed locking
+     */
+    async getOrCreateSession(sessionId = null) {
+        const existing = await this.getSession(sessionId);
+        if (existing) {
+            return existing;
+        }
+        
+        const newSessionId = sessionId || uuidv4();
+        
+        if (!this.connected) {
+            return this.getSessionFallback(newSessionId);
         }
+        
+        return await this.createSessionWithLock(newSessionId);
     }
 
     /**
@@ -151,29 +181,18 @@ export class RedisSessionService {
             if (!acquired) {
                 // Another instance is creating the session
                 await this.sleep(100); // Wait briefly
-                return await this.getSession(sessionId); // Retry
+                return await this.getOrCreateSession(sessionId); // Retry
             }
             
-            // Create new session
-            const session = {
-                id: sessionId,
-                threadId: await this.createThread(),
-                createdAt: Date.now(),
-                lastActivity: Date.now(),
-                messages: [],
-                preferences: {
-                    language: 'auto',
-                    voiceGender: 'female'
-                },
-                metrics: {
-                    messageCount: 0,
-                    voiceCount: 0,
-                    averageResponseTime: 0
-                }
-            };
+            // Another instance may have finished creating it before we got the lock
+            const data = await this.client.get(`${this.config.prefix}${sessionId}`);
+            const session = data ? normalizeSession(JSON.parse(data)) : createSessionRecord(sessionId);
             
             // Save to Redis
-            await this.saveSession(sessionId, session);
+            if (!data) {
+                await this.saveSession(sessionId, session);
+                console.log(`[SESSION] Created new session: ${sessionId}`);
+            }
             
             // Release lock
             await this.releaseLock(lockKey, lockValue);
@@ -206,7 +225,7 @@ export class RedisSessionService {
             const key = `${this.config.prefix}${sessionId}`;
             
             // Save with TTL
-            await this.client.setex(
+            await this.client.setEx(
                 key,
                 this.config.ttl,
                 JSON.stringify(session)
@@ -227,41 +246,148 @@ export class RedisSessionService {
         }
     }
 
+    /**
+     * Read, change and write a session atomically
+     * The key is WATCHed on an isolated connection; if another instance writes
+     * it before EXEC, the transaction is dropped and the change is applied
+     * again to the fresh session.
+     * @param {string} sessionId - Session ID
+     * @param {Function} mutate - (session) => result; changes the session in place
+     * @param {Object} options - { create: start a new session if none exists }
+     * @returns {Promise<Object|null>} { session, result }, or null if the session does not exist
+     */
+    async modifySession(sessionId, mutate, { create = false } = {}) {
+        if (!this.connected) {
+            return this.modifySessionFallback(sessionId, mutate, create);
+        }
+        
+        const key = `${this.config.prefix}${sessionId}`;
+        
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const outcome = await this.client.executeIsolated(async (isolatedClient) => {
+                    await isolatedClient.watch(key);
+                    
+                    const data = await isolatedClient.get(key);
+                    if (!data && !create) {
+                        await isolatedClient.unwatch();
+                        return null;
+                    }
+                    
+                    const session = data ? normalizeSession(JSON.parse(data)) : createSessionRecord(sessionId);
+                    const result = mutate(session);
+                    
+                    // Rejected with a WatchError if the key changed since WATCH
+                    await isolatedClient.multi()
+                        .setEx(key, this.config.ttl, JSON.stringify(session))
+                        .exec();
+                    
+                    if (!data) {
+                        console.log(`[SESSION] Created new session: ${sessionId}`);
+                    }
+                    return { session, result };
+                });
+                
+                if (outcome) {
+                    this.cacheSession(sessionId, outcome.session);
+                    await this.publisher.publish('session:update', JSON.stringify({ sessionId }));
+                    await this.updateMetrics('save');
+                }
+                return outcome;
+                
+            } catch (error) {
+                if (error instanceof WatchError) {
+                    if (attempt < this.config.maxWriteAttempts) {
+                        await this.sleep(Math.random() * 20 * attempt);
+                        continue;
+                    }
+                    console.error(`[SESSION] ${sessionId} was changed concurrently ${attempt} times, giving up`);
+                    throw error;
+                }
+                
+                console.error('Redis update session error:', error);
+                return this.modifySessionFallback(sessionId, mutate, create);
+            }
+        }
+    }
+
     /**
      * Update session data
      */
     async updateSession(sessionId, updates) {
-        const session = await this.getSession(sessionId);
+        const outcome = await this.modifySession(sessionId, (session) => {
+            Object.assign(session, updates, { lastActivity: Date.now() });
+        });
         
-        if (!session) {
-            console.warn(`Session ${sessionId} not found`);
-            return null;
+        if (!outcome) {
+            console.warn(`[SESSION] Cannot update non-existent session: ${sessionId}`);
+            return false;
         }
         
-        // Merge updates
-        const updatedSession = {
-            ...session,
-            ...updates,
-            lastActivity: Date.now()
-        };
-        
-        // Update metrics
-        if (updates.lastMessage) {
-            updatedSession.messages.push({
-                message: updates.lastMessage,
-                response: updates.lastResponse,
-                timestamp: Date.now()
-            });
-            updatedSession.metrics.messageCount++;
+        return true;
+    }
+
+    /**
+     * Get the preferences for a session
+     */
+    async getPreferences(sessionId) {
+        const session = await this.getSession(sessionId);
+        return session ? normalizePreferences(session.userPreferences) : null;
+    }
+
+    /**
+     * Validate and apply a partial preferences update
+     */
+    async updatePreferences(sessionId, updates) {
+        const { preferences, errors } = validatePreferences(updates);
+        if (errors.length > 0) {
+            return { preferences: null, errors };
         }
         
-        if (updates.lastLanguage) {
-            updatedSession.metrics.voiceCount++;
+        const { result: merged } = await this.modifySession(sessionId, (session) => {
+            session.userPreferences = normalizePreferences({ ...session.userPreferences, ...preferences });
+            session.lastActivity = Date.now();
+            return session.userPreferences;
+        }, { create: true });
+        
+        return { preferences: merged, errors };
+    }
+
+    /**
+     * Record a completed conversation turn
+     */
+    async addTurn(sessionId, turn) {
+        const { result: entry } = await this.modifySession(
+            sessionId,
+            (session) => appendTurn(session, turn, this.config.maxHistory),
+            { create: true }
+        );
+        
+        return entry;
+    }
+
+    /**
+     * Get a page of the conversation history, oldest first
+     */
+    async getHistory(sessionId, options = {}) {
+        const session = await this.getSession(sessionId);
+        return session ? paginateHistory(session, options) : null;
+    }
+
+    /**
+     * Clear conversation history and agent thread, keeping preferences
+     */
+    async resetSession(sessionId) {
+        const session = await this.getSession(sessionId);
+        if (!session) {
+            return null;
         }
         
-        await this.saveSession(sessionId, updatedSession);
+        const previousThreadId = session.threadId;
+        await this.updateSession(sessionId, { conversationHistory: [], threadId: null });
         
-        return updatedSession;
+        console.log(`[SESSION] Reset session: ${sessionId}`);
+        return { previousThreadId };
     }
 
     /**
@@ -269,13 +395,12 @@ export class RedisSessionService {
      */
     async deleteSession(sessionId) {
         if (!this.connected) {
-            this.localCache.delete(sessionId);
-            return;
+            return this.localCache.delete(sessionId);
         }
         
         try {
             const key = `${this.config.prefix}${sessionId}`;
-            await this.client.del(key);
+            const deleted = await this.client.del(key);
             
             // Remove from local cache
             this.localCache.delete(sessionId);
@@ -286,8 +411,11 @@ export class RedisSessionService {
             // Update metrics
             await this.updateMetrics('delete');
             
+            return deleted > 0;
+            
         } catch (error) {
             console.error('Redis delete session error:', error);
+            return false;
         }
     }
 
@@ -330,12 +458,14 @@ export class RedisSessionService {
         if (!this.connected) {
             // Clear local cache
             const now = Date.now();
+            let cleaned = 0;
             for (const [key, value] of this.localCache.entries()) {
                 if (value.expires < now) {
                     this.localCache.delete(key);
+                    cleaned++;
                 }
             }
-            return;
+            return cleaned;
         }
         
         try {
@@ -348,14 +478,24 @@ export class RedisSessionService {
         } catch (error) {
             console.error('Clear expired sessions error:', error);
         }
+        
+        return 0;
     }
 
     /**
-     * Create thread ID (for Azure AI Foundry)
+     * Get the agent thread ID stored for a session
      */
-    async createThread() {
-        // Generate unique thread ID
-        return `thread_${Date.now()}_${Math.random().toString(36).substring(2, 15)}`;
+    async getThreadId(sessionId) {
+        const session = await this.getSession(sessionId);
+        return session?.threadId || null;
+    }
+
+    /**
+     * Store the agent thread ID for a session (shared by all instances)
+     */
+    async setThreadId(sessionId, threadId) {
+        await this.getOrCreateSession(sessionId);
+        return this.updateSession(sessionId, { threadId });
     }
 
     /**
@@ -421,7 +561,7 @@ export class RedisSessionService {
             const now = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
             const key = `${this.config.metricsKey}:${now}`;
             
-            await this.client.hincrby(key, operation, 1);
+            await this.client.hIncrBy(key, operation, 1);
             await this.client.expire(key, 86400 * 7); // Keep metrics for 7 days
             
         } catch (error) {
@@ -475,17 +615,7 @@ export class RedisSessionService {
     getSessionFallback(sessionId) {
         // In-memory fallback
         if (!this.localCache.has(sessionId)) {
-            const session = {
-                id: sessionId,
-                threadId: `thread_${Date.now()}_${Math.random().toString(36).substring(2, 15)}`,
-                createdAt: Date.now(),
-                lastActivity: Date.now(),
-                messages: [],
-                preferences: {
-                    language: 'auto',
-                    voiceGender: 'female'
-                }
-            };
+            const session = createSessionRecord(sessionId);
             
             this.localCache.set(sessionId, {
                 data: session,
@@ -497,6 +627,17 @@ export class RedisSessionService {
         return cached ? cached.data : null;
     }
 
+    async modifySessionFallback(sessionId, mutate, create) {
+        const session = create ? this.getSessionFallback(sessionId) : this.localCache.get(sessionId)?.data;
+        if (!session) {
+            return null;
+        }
+        
+        const result = mutate(session);
+        this.saveSessionFallback(sessionId, session);
+        return { session, result };
+    }
+
     saveSessionFallback(sessionId, session) {
         this.localCache.set(sessionId, {
             data: session,
@@ -516,7 +657,7 @@ export class RedisSessionService {
      */
     startCleanupInterval() {
         // Clean expired sessions every hour
-        setInterval(() => {
+        this.cleanupTimerId = setInterval(() => {
             this.clearExpiredSessions();
         }, 3600000);
     }
@@ -525,7 +666,10 @@ export class RedisSessionService {
      * Graceful shutdown
      */
     async close() {
+        clearInterval(this.cleanupTimerId);
+        
         if (this.connected) {
+            this.connected = false;
             await this.client.quit();
             await this.subscriber.quit();
             await this.publisher.quit();
@@ -533,6 +677,4 @@ export class RedisSessionService {
     }
 }
 
-// Export singleton instance
-const redisSessionService = new RedisSessionService();
-export default redisSessionService;
+export default RedisSessionService;
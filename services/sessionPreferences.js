@@ -0,0 +1,77 @@
+/**
+ * Session Preferences
+ * Shared schema, defaults and validation for per-session user preferences
+ * Used by both session services and the preferences API
+ */
+
+import { AUDIO_FORMAT_IDS } from './audioFormats.js';
+import { SUPPORTED_LANGUAGES } from './languages.js';
+
+export const DEFAULT_PREFERENCES = Object.freeze({
+    preferredLanguage: 'auto',  // 'auto' detects per utterance
+    voiceGender: 'female',
+    speakingRate: 1.0,          // Multiplier, 0.5 (slow) – 2.0 (fast)
+    pitch: 0,                   // Percent change, -50 – +50
+    audioFormat: 'wav',         // See audioFormats.js
+    responseLength: 'medium'
+});
+
+export const PREFERENCE_OPTIONS = Object.freeze({
+    preferredLanguage: ['auto', ...SUPPORTED_LANGUAGES],
+    voiceGender: ['female', 'male'],
+    speakingRate: { min: 0.5, max: 2.0 },
+    pitch: { min: -50, max: 50 },
+    audioFormat: AUDIO_FORMAT_IDS,
+    responseLength: ['short', 'medium', 'detailed']
+});
+
+/**
+ * Validate a partial preferences update
+ * @param {Object} updates - Fields to change
+ * @returns {Object} { preferences, errors } - Normalized valid fields and a list of error messages
+ */
+export function validatePreferences(updates) {
+    const preferences = {};
+    const errors = [];
+
+    if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+        return { preferences, errors: ['Preferences must be an object'] };
+    }
+
+    for (const [field, value] of Object.entries(updates)) {
+        const options = PREFERENCE_OPTIONS[field];
+
+        if (!options) {
+            errors.push(`Unknown preference: ${field}`);
+        } else if (Array.isArray(options)) {
+            if (options.includes(value)) {
+                preferences[field] = value;
+            } else {
+                errors.push(`${field} must be one of: ${options.join(', ')}`);
+            }
+        } else {
+            const number = typeof value === 'string' ? Number(value) : value;
+            if (typeof number === 'number' && Number.isFinite(number) && number >= options.min && number <= options.max) {
+                preferences[field] = number;
+            } else {
+                errors.push(`${field} must be a number between ${options.min} and ${options.max}`);
+            }
+        }
+    }
+
+    return { preferences, errors };
+}
+
+/**
+ * Fill in defaults and map legacy field names ('language', 'audioQuality')
+ * @param {Object} stored - Preferences as stored on a session
+ * @returns {Object} Complete preferences object
+ */
+export function normalizePreferences(stored = {}) {
+    const { language, audioQuality, ...rest } = stored || {};
+    return {
+        ...DEFAULT_PREFERENCES,
+        ...(language && !rest.preferredLanguage ? { preferredLanguage: language } : {}),
+        ...rest
+    };
+}
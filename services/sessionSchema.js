@@ -0,0 +1,109 @@
+/**
+ * Session Schema
+ * Shared session record shape, turn recording and history paging
+ * Used by both session store backends
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { normalizePreferences } from './sessionPreferences.js';
+
+/**
+ * Create an empty session record
+ * @param {string} sessionId - Session ID
+ * @returns {Object} Session in the shared schema
+ */
+export function createSessionRecord(sessionId) {
+    const now = Date.now();
+    return {
+        sessionId,
+        threadId: null, // Set by the agent service on the first turn
+        created: now,
+        lastActivity: now,
+        conversationHistory: [],
+        userPreferences: normalizePreferences(),
+        metrics: {
+            messageCount: 0,
+            voiceCount: 0,
+            averageResponseTime: 0
+        }
+    };
+}
+
+/**
+ * Bring a stored session up to the shared schema
+ * Maps the legacy Redis field names (id, createdAt, messages, preferences)
+ * @param {Object} stored - Session as read from a backend
+ * @returns {Object} Session in the shared schema
+ */
+export function normalizeSession(stored) {
+    const { id, createdAt, messages, preferences, ...rest } = stored;
+    const session = createSessionRecord(rest.sessionId || id);
+
+    return {
+        ...session,
+        ...rest,
+        created: rest.created || createdAt || session.created,
+        conversationHistory: rest.conversationHistory || messages || [],
+        userPreferences: normalizePreferences(rest.userPreferences || preferences),
+        metrics: { ...session.metrics, ...rest.metrics }
+    };
+}
+
+/**
+ * Append a completed turn to a session, trimming old turns and updating metrics
+ * @param {Object} session - Session in the shared schema (modified in place)
+ * @param {Object} turn - Turn details (userText, assistantText, language, modality, startedAt, sources, cached)
+ * @param {number} maxHistory - Maximum turns kept per session
+ * @returns {Object} Recorded turn
+ */
+export function appendTurn(session, turn, maxHistory) {
+    const completedAt = Date.now();
+    const startedAt = turn.startedAt || completedAt;
+
+    const entry = {
+        id: uuidv4(),
+        userText: turn.userText,
+        assistantText: turn.assistantText,
+        language: turn.language || 'en-US',
+        modality: turn.modality || 'text',
+        createdAt: new Date(startedAt).toISOString(),
+        completedAt: new Date(completedAt).toISOString(),
+        latencyMs: completedAt - startedAt,
+        sources: turn.sources || [],
+        cached: Boolean(turn.cached)
+    };
+
+    session.conversationHistory.push(entry);
+    if (session.conversationHistory.length > maxHistory) {
+        session.conversationHistory.splice(0, session.conversationHistory.length - maxHistory);
+    }
+
+    const { metrics } = session;
+    metrics.messageCount++;
+    if (entry.modality === 'voice') {
+        metrics.voiceCount++;
+    }
+    metrics.averageResponseTime = Math.round(
+        (metrics.averageResponseTime * (metrics.messageCount - 1) + entry.latencyMs) / metrics.messageCount
+    );
+
+    session.lastActivity = completedAt;
+    return entry;
+}
+
+/**
+ * Get a page of a session's conversation history, oldest first
+ * @param {Object} session - Session in the shared schema
+ * @param {Object} options - { offset, limit }
+ * @returns {Object} { total, offset, limit, hasMore, turns }
+ */
+export function paginateHistory(session, { offset = 0, limit = 20 } = {}) {
+    const history = session.conversationHistory;
+    return {
+        total: history.length,
+        offset,
+        limit,
+        hasMore: offset + limit < history.length,
+        turns: history.slice(offset, offset + limit)
+    };
+}
@@ -1,14 +1,18 @@
 /**
  * Session Service
- * Manages user sessions with TTL-based cleanup
+ * In-memory session store with TTL-based cleanup (single process only)
+ * Implements the async session store contract described in sessionStore.js
  */
 
 import { v4 as uuidv4 } from 'uuid';
+import { normalizePreferences, validatePreferences, PREFERENCE_OPTIONS } from './sessionPreferences.js';
+import { createSessionRecord, appendTurn, paginateHistory } from './sessionSchema.js';
 
 export class SessionService {
     constructor() {
         this.sessions = new Map();
         this.sessionTTL = parseInt(process.env.SESSION_TTL) || 86400000; // 24 hours default
+        this.maxHistory = parseInt(process.env.SESSION_MAX_HISTORY) || 200; // Turns kept per session
         this.cleanupInterval = 3600000; // 1 hour
         
         // Start cleanup timer
@@ -20,7 +24,7 @@ export class SessionService {
      * @param {string} sessionId - Optional existing session ID
      * @returns {Object} Session object
      */
-    getOrCreateSession(sessionId = null) {
+    async getOrCreateSession(sessionId = null) {
         // Validate and get existing session
         if (sessionId && this.sessions.has(sessionId)) {
             const session = this.sessions.get(sessionId);
@@ -30,18 +34,7 @@ export class SessionService {
 
         // Create new session
         const newSessionId = sessionId || uuidv4();
-        const session = {
-            sessionId: newSessionId,
-            threadId: null,
-            created: Date.now(),
-            lastActivity: Date.now(),
-            conversationHistory: [],
-            userPreferences: {
-                preferredLanguage: 'auto',
-                voiceGender: 'female',
-                audioQuality: 'standard'
-            }
-        };
+        const session = createSessionRecord(newSessionId);
 
         this.sessions.set(newSessionId, session);
         console.log(`[SESSION] Created new session: ${newSessionId}`);
@@ -54,7 +47,16 @@ export class SessionService {
      * @param {string} sessionId - Session ID
      * @returns {Object|null} Session object or null
      */
-    getSession(sessionId) {
+    async getSession(sessionId) {
+        return this.findSession(sessionId);
+    }
+
+    /**
+     * Look up a live session, expiring it if its TTL has passed
+     * @param {string} sessionId - Session ID
+     * @returns {Object|null} Session object or null
+     */
+    findSession(sessionId) {
         if (!sessionId || !this.sessions.has(sessionId)) {
             return null;
         }
@@ -63,7 +65,7 @@ export class SessionService {
         
         // Check if session is expired
         if (this.isSessionExpired(session)) {
-            this.deleteSession(sessionId);
+            this.sessions.delete(sessionId);
             return null;
         }
 
@@ -76,8 +78,8 @@ export class SessionService {
      * @param {string} sessionId - Session ID
      * @param {Object} updates - Updates to apply
      */
-    updateSession(sessionId, updates) {
-        const session = this.getSession(sessionId);
+    async updateSession(sessionId, updates) {
+        const session = this.findSession(sessionId);
         if (!session) {
             console.log(`[SESSION] Cannot update non-existent session: ${sessionId}`);
             return false;
@@ -88,11 +90,108 @@ export class SessionService {
         return true;
     }
 
+    /**
+     * Get the agent thread ID stored for a session
+     * @param {string} sessionId - Session ID
+     * @returns {string|null} Thread ID or null
+     */
+    async getThreadId(sessionId) {
+        return this.findSession(sessionId)?.threadId || null;
+    }
+
+    /**
+     * Store the agent thread ID for a session, creating the session if needed
+     * @param {string} sessionId - Session ID
+     * @param {string} threadId - Agent thread ID
+     */
+    async setThreadId(sessionId, threadId) {
+        const session = await this.getOrCreateSession(sessionId);
+        session.threadId = threadId;
+        return true;
+    }
+
+    /**
+     * Get the preferences for a session
+     * @param {string} sessionId - Session ID
+     * @returns {Object|null} Preferences with defaults applied, or null if the session does not exist
+     */
+    async getPreferences(sessionId) {
+        const session = this.findSession(sessionId);
+        return session ? normalizePreferences(session.userPreferences) : null;
+    }
+
+    /**
+     * Validate and apply a partial preferences update
+     * @param {string} sessionId - Session ID
+     * @param {Object} updates - Preference fields to change
+     * @returns {Object} { preferences, errors } - Updated preferences, or validation errors (nothing applied)
+     */
+    async updatePreferences(sessionId, updates) {
+        const { preferences, errors } = validatePreferences(updates);
+        if (errors.length > 0) {
+            return { preferences: null, errors };
+        }
+
+        const session = await this.getOrCreateSession(sessionId);
+        session.userPreferences = normalizePreferences({ ...session.userPreferences, ...preferences });
+        return { preferences: session.userPreferences, errors };
+    }
+
+    /**
+     * Record a completed conversation turn
+     * @param {string} sessionId - Session ID
+     * @param {Object} turn - Turn details
+     * @param {string} turn.userText - User message or transcript
+     * @param {string} turn.assistantText - Assistant response
+     * @param {string} turn.language - Language code of the turn
+     * @param {string} turn.modality - 'text' or 'voice'
+     * @param {number} turn.startedAt - Timestamp when processing started
+     * @param {Array} turn.sources - Citations returned with the response
+     * @returns {Object} Recorded turn
+     */
+    async addTurn(sessionId, turn) {
+        const session = await this.getOrCreateSession(sessionId);
+        return appendTurn(session, turn, this.maxHistory);
+    }
+
+    /**
+     * Get a page of the conversation history, oldest first
+     * @param {string} sessionId - Session ID
+     * @param {Object} options - Pagination options
+     * @param {number} options.offset - Turns to skip
+     * @param {number} options.limit - Maximum turns to return
+     * @returns {Object|null} Page of turns or null if the session does not exist
+     */
+    async getHistory(sessionId, options = {}) {
+        const session = this.findSession(sessionId);
+        return session ? paginateHistory(session, options) : null;
+    }
+
+    /**
+     * Clear conversation history and agent thread, keeping preferences
+     * @param {string} sessionId - Session ID
+     * @returns {Object|null} Previous thread ID, or null if the session does not exist
+     */
+    async resetSession(sessionId) {
+        const session = this.findSession(sessionId);
+        if (!session) {
+            return null;
+        }
+
+        const previousThreadId = session.threadId;
+        session.conversationHistory = [];
+        session.threadId = null;
+        session.lastActivity = Date.now();
+
+        console.log(`[SESSION] Reset session: ${sessionId}`);
+        return { previousThreadId };
+    }
+
     /**
      * Delete a session
      * @param {string} sessionId - Session ID
      */
-    deleteSession(sessionId) {
+    async deleteSession(sessionId) {
         if (this.sessions.has(sessionId)) {
             this.sessions.delete(sessionId);
             console.log(`[SESSION] Deleted session: ${sessionId}`);
@@ -114,7 +213,7 @@ export class SessionService {
      * Get active session count
      * @returns {number} Number of active sessions
      */
-    getActiveSessionCount() {
+    async getActiveSessionCount() {
         return this.sessions.size;
     }
 
@@ -162,11 +261,26 @@ export class SessionService {
         }
     }
 
+    /**
+     * Clear expired sessions
+     * @returns {Promise<number>} Number of sessions removed
+     */
+    async clearExpiredSessions() {
+        return this.cleanup();
+    }
+
+    /**
+     * Stop timers (graceful shutdown)
+     */
+    async close() {
+        this.stopCleanupTimer();
+    }
+
     /**
      * Clean up expired sessions
+     * @returns {number} Number of sessions removed
      */
     cleanup() {
-        const startSize = this.sessions.size;
         let cleaned = 0;
 
         this.sessions.forEach((session, sessionId) => {
@@ -179,6 +293,7 @@ export class SessionService {
         if (cleaned > 0) {
             console.log(`[SESSION] Cleaned up ${cleaned} expired sessions. Active: ${this.sessions.size}`);
         }
+        return cleaned;
     }
 
     /**
@@ -197,7 +312,7 @@ export class SessionService {
      * @returns {Object} Session data for export
      */
     exportSession(sessionId) {
-        const session = this.getSession(sessionId);
+        const session = this.findSession(sessionId);
         if (!session) {
             return null;
         }
@@ -223,11 +338,7 @@ export class SessionService {
             expired: 0,
             totalMessages: 0,
             averageMessagesPerSession: 0,
-            languageDistribution: {
-                'en-US': 0,
-                'ne-NP': 0,
-                'auto': 0
-            },
+            languageDistribution: Object.fromEntries(PREFERENCE_OPTIONS.preferredLanguage.map(lang => [lang, 0])),
             oldestSession: null,
             newestSession: null
         };
@@ -0,0 +1,38 @@
+/**
+ * Session Store
+ * Selects the session backend; see sessionSchema.js for the shared record shape
+ *
+ * Both backends implement the same async contract:
+ *   getSession(id) → session|null         getOrCreateSession(id?) → session
+ *   updateSession(id, updates) → bool     deleteSession(id) → bool
+ *   getThreadId(id) / setThreadId(id, threadId)
+ *   getPreferences(id) / updatePreferences(id, updates)
+ *   addTurn(id, turn) / getHistory(id, { offset, limit }) / resetSession(id)
+ *   getActiveSessionCount() / clearExpiredSessions() / close()
+ *
+ * Set REDIS_URL to share sessions between instances (required for PM2 cluster mode);
+ * otherwise sessions are kept in process memory.
+ */
+
+import { SessionService } from './sessionService.js';
+import { RedisSessionService } from './redisSessionService.js';
+
+/**
+ * Create the session store configured for this process
+ * @param {Object} options - { redisUrl } overrides REDIS_URL
+ * @returns {Promise<SessionService|RedisSessionService>} Connected session store
+ */
+export async function createSessionStore(options = {}) {
+    const redisUrl = options.redisUrl ?? process.env.REDIS_URL;
+
+    if (redisUrl) {
+        const store = new RedisSessionService({ redisUrl });
+        await store.initialize();
+        return store;
+    }
+
+    console.log('[SESSION] REDIS_URL not set, using in-memory session store');
+    return new SessionService();
+}
+
+export default createSessionStore;
@@ -5,25 +5,50 @@
  */
 
 import * as sdk from 'microsoft-cognitiveservices-speech-sdk';
+import { normalizeAudio, UnsupportedAudioFormatError, TARGET_SAMPLE_RATE } from './audioNormalizer.js';
+import { detectVoiceActivity, splitUtterances, joinUtterances } from './voiceActivity.js';
+import { createLanguageIdConfig, readLanguageId, combinePhrases } from './languageId.js';
+import { recognizeContinuously, toSegment, mapSegmentTime } from './recognition.js';
+import { buildSsml } from './ssmlBuilder.js';
+import { toSpeechText } from './speechText.js';
+import { getAudioFormat, dataUriPrefix } from './audioFormats.js';
+import { VoiceCatalog } from './voiceCatalog.js';
+import { AUTO_DETECT_LANGUAGES, getRecognitionLanguage, isDevanagariLanguage } from './languages.js';
+import { detectDevanagariLanguage } from './textLanguage.js';
+
+export const STT_MODES = ['single-pass', 'two-step'];
+
+// Marker-word score (see textLanguage.js) needed to relabel a Devanagari transcript
+const MIN_RELABEL_EVIDENCE = 4;
+
+const PCM_STREAM_FORMAT = 'audio/pcm;rate=16000;bits=16;channels=1';
+// RIFF/data sizes for a WAV header written before the audio length is known
+const STREAMING_WAV_DATA_SIZE = 0xFFFFFFFF - 36;
 
 export class SpeechService {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {Object} options.ttsCache - Cache with getTts/setTts (CacheService) to reuse synthesized audio
+     * @param {Object} options.voiceCatalog - TTS voices (default: loaded from config/voices.json)
+     */
+    constructor(options = {}) {
         // Azure Configuration
         this.speechKey = process.env.AZURE_API_KEY || process.env.AZURE_VOICELIVE_API_KEY;
         this.region = process.env.AZURE_REGION || 'swedencentral';
         this.initialized = false;
+        this.ttsCache = options.ttsCache || null;
 
-        // Voice mappings for TTS
-        this.voices = {
-            'ne-NP': {
-                female: 'ne-NP-HemkalaNeural',
-                male: 'ne-NP-SagarNeural'
-            },
-            'en-US': {
-                female: 'en-US-AriaNeural', 
-                male: 'en-US-DavisNeural'
-            }
-        };
+        // STT defaults, overridable per request: one recognition with language ID
+        // ('single-pass') or detection then locale-specific transcription ('two-step')
+        this.sttMode = process.env.STT_MODE || 'single-pass';
+        this.lidMode = process.env.STT_LID_MODE || 'at-start';
+        // Single-pass results below this language confidence fall back to two-step
+        this.lidMinConfidence = parseFloat(process.env.STT_LID_MIN_CONFIDENCE) || 0.7;
+
+        // TTS voices by locale and gender (see voiceCatalog.js)
+        this.voiceCatalog = options.voiceCatalog || VoiceCatalog.fromFile();
+        // Voices offered by the Speech service, per locale ('' for all)
+        this.availableVoices = new Map();
 
         console.log('[SpeechService] Initializing with region:', this.region);
     }
@@ -53,11 +78,28 @@ export class SpeechService {
 
     /**
      * Convert speech to text with proper language-specific transcription
-     * Two-step process: 1) Detect language, 2) Transcribe with correct model
-     * @param {Buffer} audioBuffer - Audio data as buffer
-     * @returns {Promise<Object>} Transcription result with detected language
+     * Single-pass mode recognizes with language ID and returns transcript and
+     * language together; when the language confidence is low it falls back to
+     * the two-step process: 1) Detect language, 2) Transcribe with correct model
+     * When a preferred language is given, detection is skipped
+     * Audio is first normalized to 16kHz mono PCM (WAV, WebM/Opus, Ogg/Opus);
+     * other formats return an error with status 415. Clips without speech are
+     * rejected before calling Azure; the rest is split into utterances at long
+     * pauses and silence is dropped. The utterances are transcribed in one
+     * continuous recognition session, so long recordings are not cut off after
+     * the first phrase.
+     * @param {Buffer} audioBuffer - Audio data as uploaded
+     * @param {Object} options - Recognition options
+     * @param {string} options.language - Preferred language code, or 'auto' to detect
+     * @param {string} options.mode - 'single-pass' or 'two-step' (default STT_MODE)
+     * @param {string} options.lidMode - Single-pass language ID: 'at-start' or 'continuous' (default STT_LID_MODE)
+     * @returns {Promise<Object>} Transcription result with detected language,
+     *   `speech` ({ duration, audioDuration, utterances }, durations in seconds) and
+     *   `segments` (see recognition.js, times in ms from the start of the upload)
      */
-    async speechToText(audioBuffer) {
+    async speechToText(audioBuffer, options = {}) {
+        const { language = 'auto', mode = this.sttMode, lidMode = this.lidMode } = options;
+
         if (!this.initialized) {
             await this.initialize();
         }
@@ -76,24 +118,99 @@ export class SpeechService {
                 };
             }
 
-            // Log audio format information
-            this.logAudioInfo(audioBuffer);
+            // Decode and resample to the format the push stream expects
+            const { pcm } = await normalizeAudio(audioBuffer);
+
+            // Only speech goes to Azure
+            const activity = detectVoiceActivity(pcm);
+            const speech = {
+                duration: activity.speechDuration,
+                audioDuration: activity.totalDuration,
+                utterances: 0
+            };
+
+            if (!activity.hasSpeech) {
+                console.log(`[STT] No speech detected in ${activity.totalDuration.toFixed(1)}s of audio (noise floor ${activity.noiseFloorDb} dB)`);
+                return {
+                    transcript: '',
+                    language: 'en-US',
+                    confidence: 0,
+                    error: 'No speech detected in the recording',
+                    speech
+                };
+            }
 
-            // STEP 1: Detect language first
-            const detectedLanguage = await this.detectLanguageFromAudio(audioBuffer);
+            if (activity.fallback) {
+                console.log(`[STT] No speech segments found in a loud clip (peak ${activity.peakDb} dB), sending all of it`);
+            }
+
+            const utterances = splitUtterances(pcm, activity);
+            speech.utterances = utterances.length;
+            console.log(`[STT] ${activity.speechDuration.toFixed(1)}s of speech in ${activity.totalDuration.toFixed(1)}s, ${utterances.length} utterance(s)`);
+
+            // Recognition runs on the joined utterances; segment times are mapped back to the upload
+            const timeline = joinUtterances(utterances);
+            const toSourceTime = segments => segments.map(segment => mapSegmentTime(segment, timeline.toSourceTime));
+
+            // Preferred language: transcribe directly with that model
+            if (language && language !== 'auto') {
+                console.log(`[STT] Using preferred language: ${language}`);
+                const { transcript, segments } = await this.transcribeWithLanguage(timeline.pcm, getRecognitionLanguage(language));
+
+                return {
+                    transcript,
+                    language,
+                    confidence: 1,
+                    method: 'preferred-language',
+                    speech,
+                    segments: toSourceTime(segments)
+                };
+            }
+
+            if (mode === 'single-pass') {
+                const { segments, ...singlePass } = await this.recognizeSinglePass(timeline.pcm, lidMode);
+                console.log(`[STT] 🎯 Single pass (${lidMode}): ${singlePass.language} (confidence: ${singlePass.confidence.toFixed(2)})`);
+
+                if (singlePass.transcript && singlePass.confidence >= this.lidMinConfidence) {
+                    return {
+                        ...singlePass,
+                        language: this.labelTranscriptLanguage(singlePass.transcript, singlePass.language),
+                        method: `single-pass-${lidMode}`,
+                        speech,
+                        segments: toSourceTime(segments)
+                    };
+                }
+                console.log('[STT] Low language confidence, falling back to two-step detection');
+            }
+
+            // STEP 1: Detect language first, on the longest utterance
+            const longest = utterances.reduce((a, b) => (b.end - b.start > a.end - a.start ? b : a));
+            const detectedLanguage = await this.detectLanguageFromAudio(longest.pcm);
             console.log(`[STT] 🎯 Detected language: ${detectedLanguage.language} (confidence: ${detectedLanguage.confidence.toFixed(2)})`);
 
             // STEP 2: Transcribe using language-specific model
-            const transcriptionResult = await this.transcribeWithLanguage(audioBuffer, detectedLanguage.language);
-
+            const { transcript, segments } = await this.transcribeWithLanguage(timeline.pcm, detectedLanguage.language);
             return {
-                transcript: transcriptionResult.transcript,
-                language: detectedLanguage.language,
+                transcript,
+                language: this.labelTranscriptLanguage(transcript, detectedLanguage.language),
                 confidence: detectedLanguage.confidence,
-                method: 'two-step-detection'
+                method: mode === 'single-pass' ? 'two-step-fallback' : 'two-step-detection',
+                speech,
+                segments: toSourceTime(segments)
             };
 
         } catch (error) {
+            if (error instanceof UnsupportedAudioFormatError) {
+                console.log(`[STT] ⚠️ ${error.message}`);
+                return {
+                    transcript: '',
+                    language: 'en-US',
+                    confidence: 0,
+                    error: error.message,
+                    status: error.status
+                };
+            }
+
             console.error('[STT] Error:', error);
             return {
                 transcript: '',
@@ -104,9 +221,80 @@ export class SpeechService {
         }
     }
 
+    /**
+     * Relabel a Devanagari transcript by its words
+     * Maithili has no STT model (it is recognized as Hindi) and Hindi and Nepali
+     * are easily confused by language ID, so a transcript that clearly reads as
+     * another Devanagari language is labelled as that language.
+     * @param {string} transcript - Recognized text
+     * @param {string} language - Language from language ID
+     * @returns {string} Language code
+     */
+    labelTranscriptLanguage(transcript, language) {
+        if (!transcript || !isDevanagariLanguage(language)) return language;
+
+        const detected = detectDevanagariLanguage(transcript, language);
+        if (detected.language !== language && detected.evidence >= MIN_RELABEL_EVIDENCE) {
+            console.log(`[STT] Transcript reads as ${detected.language}, not ${language}`);
+            return detected.language;
+        }
+        return language;
+    }
+
+    /**
+     * Recognize audio once with language ID
+     * At-start ID identifies the language from the first seconds and keeps it;
+     * continuous ID identifies each phrase separately.
+     * @param {Buffer} pcm - 16kHz mono 16-bit PCM
+     * @param {string} lidMode - 'at-start' or 'continuous'
+     * @returns {Promise<Object>} { transcript, language, confidence, segments }
+     */
+    async recognizeSinglePass(pcm, lidMode) {
+        const speechConfig = this.createRecognitionConfig();
+        const autoDetectConfig = createLanguageIdConfig(speechConfig, lidMode);
+
+        try {
+            const recognizer = new sdk.SpeechRecognizer(speechConfig, this.createPcmAudioConfig(pcm), autoDetectConfig);
+            const segments = (await recognizeContinuously(recognizer, { audioBytes: pcm.length })).map(result => toSegment(result));
+
+            return {
+                ...combinePhrases(segments.map(({ text, language, languageConfidence }) => ({
+                    text,
+                    language,
+                    confidence: languageConfidence
+                }))),
+                segments
+            };
+        } finally {
+            speechConfig.close();
+        }
+    }
+
+    /**
+     * Speech config for uploaded audio: detailed output with word timings
+     */
+    createRecognitionConfig() {
+        const speechConfig = sdk.SpeechConfig.fromSubscription(this.speechKey, this.region);
+        speechConfig.outputFormat = sdk.OutputFormat.Detailed;
+        speechConfig.requestWordLevelTimestamps();
+        return speechConfig;
+    }
+
+    /**
+     * Audio config over a closed push stream of 16kHz mono 16-bit PCM
+     */
+    createPcmAudioConfig(pcm) {
+        const pushStream = sdk.AudioInputStream.createPushStream(
+            sdk.AudioStreamFormat.getWaveFormatPCM(TARGET_SAMPLE_RATE, 16, 1)
+        );
+        pushStream.write(pcm);
+        pushStream.close();
+        return sdk.AudioConfig.fromStreamInput(pushStream);
+    }
+
     /**
      * STEP 1: Detect language from audio using auto-detection
-     * @param {Buffer} audioBuffer - Audio data buffer
+     * @param {Buffer} audioBuffer - 16kHz mono 16-bit PCM
      * @returns {Promise<Object>} Language detection result
      */
     async detectLanguageFromAudio(audioBuffer) {
@@ -117,16 +305,11 @@ export class SpeechService {
             const speechConfig = sdk.SpeechConfig.fromSubscription(this.speechKey, this.region);
             speechConfig.outputFormat = sdk.OutputFormat.Detailed;
 
-            // Create auto-detect language config for English and Nepali
-            const autoDetectConfig = sdk.AutoDetectSourceLanguageConfig.fromLanguages(['en-US', 'ne-NP']);
-
-            // Create push stream and push audio data
-            const pushStream = sdk.AudioInputStream.createPushStream();
-            pushStream.write(audioBuffer);
-            pushStream.close();
+            // Create auto-detect language config for the registry's candidates
+            const autoDetectConfig = sdk.AutoDetectSourceLanguageConfig.fromLanguages(AUTO_DETECT_LANGUAGES);
 
-            // Create audio config from stream
-            const audioConfig = sdk.AudioConfig.fromStreamInput(pushStream);
+            // Create audio config from a push stream of the audio
+            const audioConfig = this.createPcmAudioConfig(audioBuffer);
 
             // Create recognizer with auto-detect config
             const recognizer = new sdk.SpeechRecognizer(speechConfig, audioConfig, autoDetectConfig);
@@ -155,18 +338,18 @@ export class SpeechService {
 
     /**
      * STEP 2: Transcribe audio using specific language model
-     * @param {Buffer} audioBuffer - Audio data buffer
+     * Uses continuous recognition, so every phrase is transcribed, not just the first
+     * @param {Buffer} audioBuffer - 16kHz mono 16-bit PCM
      * @param {string} detectedLanguage - Detected language code
-     * @returns {Promise<Object>} Transcription result
+     * @returns {Promise<Object>} Transcription result: { transcript, segments }
      */
     async transcribeWithLanguage(audioBuffer, detectedLanguage) {
         try {
             console.log(`[STT] Step 2: Transcribing with ${detectedLanguage} model...`);
 
             // Create speech configuration specifically for the detected language
-            const speechConfig = sdk.SpeechConfig.fromSubscription(this.speechKey, this.region);
+            const speechConfig = this.createRecognitionConfig();
             speechConfig.speechRecognitionLanguage = detectedLanguage; // CRITICAL: Set specific language
-            speechConfig.outputFormat = sdk.OutputFormat.Detailed;
 
             // Enhanced settings for better accuracy
             if (detectedLanguage === 'ne-NP') {
@@ -176,11 +359,7 @@ export class SpeechService {
             }
 
             // Create fresh audio stream
-            const pushStream = sdk.AudioInputStream.createPushStream();
-            pushStream.write(audioBuffer);
-            pushStream.close();
-
-            const audioConfig = sdk.AudioConfig.fromStreamInput(pushStream);
+            const audioConfig = this.createPcmAudioConfig(audioBuffer);
 
             // Create recognizer WITHOUT auto-detect (use specific language)
             const recognizer = new sdk.SpeechRecognizer(speechConfig, audioConfig);
@@ -193,30 +372,139 @@ export class SpeechService {
             };
 
             // Perform transcription
-            const result = await new Promise((resolve, reject) => {
-                recognizer.recognizeOnceAsync(
-                    (result) => resolve(result),
-                    (error) => reject(new Error(error))
-                );
-            });
-
-            // Close resources
-            recognizer.close();
-            speechConfig.close();
+            let results;
+            try {
+                results = await recognizeContinuously(recognizer, { audioBytes: audioBuffer.length });
+            } finally {
+                speechConfig.close();
+            }
 
             // Process transcription result
-            if (result.reason === sdk.ResultReason.RecognizedSpeech) {
-                console.log(`[STT] ✅ Transcription (${detectedLanguage}): "${result.text}"`);
-                return { transcript: result.text };
+            const segments = results.map(result => toSegment(result, detectedLanguage));
+            const transcript = segments.map(segment => segment.text).join(' ');
+            if (transcript) {
+                console.log(`[STT] ✅ Transcription (${detectedLanguage}, ${segments.length} segment(s)): "${transcript}"`);
             } else {
-                console.log(`[STT] ⚠️ Transcription failed, reason: ${sdk.ResultReason[result.reason]}`);
-                return { transcript: '' };
+                console.log('[STT] ⚠️ Transcription failed, no speech recognized');
             }
+            return { transcript, segments };
 
         } catch (error) {
             console.error(`[STT] Transcription with ${detectedLanguage} failed:`, error);
-            return { transcript: '' };
+            return { transcript: '', segments: [] };
+        }
+    }
+
+    /**
+     * Start continuous recognition over a push stream fed by the caller
+     * Used by the WebSocket voice endpoint: audio frames are written to the
+     * returned push stream as they arrive and transcripts are reported via callbacks
+     * @param {Object} options - Recognition options
+     * @param {string} options.format - Input format: 'pcm' (16kHz 16-bit mono), 'webm' or 'ogg' (Opus)
+     * @param {number} options.sampleRate - PCM sample rate (default 16000)
+     * @param {string} options.language - Fixed language code, or 'auto' to detect (see languages.js)
+     * @param {Function} options.onRecognizing - Called with interim { text, language }
+     * @param {Function} options.onRecognized - Called with final { text, language, confidence }
+     * @param {Function} options.onError - Called with an Error when recognition is canceled
+     * @returns {Promise<Object>} Session with pushStream, write(), and stop()
+     */
+    async startContinuousRecognition(options = {}) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        const {
+            format = 'pcm',
+            sampleRate = 16000,
+            language = 'auto',
+            onRecognizing = () => {},
+            onRecognized = () => {},
+            onError = () => {}
+        } = options;
+
+        // Create speech configuration
+        const speechConfig = sdk.SpeechConfig.fromSubscription(this.speechKey, this.region);
+        speechConfig.outputFormat = sdk.OutputFormat.Detailed;
+        speechConfig.setProperty(sdk.PropertyId.Speech_SegmentationSilenceTimeoutMs, '800');
+
+        // Create push stream matching the client's frame format
+        let streamFormat;
+        if (format === 'webm') {
+            streamFormat = sdk.AudioStreamFormat.getWaveFormat(16000, 16, 1, sdk.AudioFormatTag.WEBM_OPUS);
+        } else if (format === 'ogg') {
+            streamFormat = sdk.AudioStreamFormat.getWaveFormat(16000, 16, 1, sdk.AudioFormatTag.OGG_OPUS);
+        } else {
+            streamFormat = sdk.AudioStreamFormat.getWaveFormatPCM(sampleRate, 16, 1);
+        }
+
+        const pushStream = sdk.AudioInputStream.createPushStream(streamFormat);
+        const audioConfig = sdk.AudioConfig.fromStreamInput(pushStream);
+
+        // Fixed language or continuous language identification
+        let recognizer;
+        if (language && language !== 'auto') {
+            speechConfig.speechRecognitionLanguage = getRecognitionLanguage(language);
+            recognizer = new sdk.SpeechRecognizer(speechConfig, audioConfig);
+        } else {
+            const autoDetectConfig = createLanguageIdConfig(speechConfig, 'continuous');
+            recognizer = new sdk.SpeechRecognizer(speechConfig, audioConfig, autoDetectConfig);
         }
+
+        const resolveLanguage = (result) => {
+            if (language && language !== 'auto') return language;
+            return this.labelTranscriptLanguage(result.text, readLanguageId(result).language || 'en-US');
+        };
+
+        recognizer.recognizing = (sender, e) => {
+            if (e.result.text) {
+                onRecognizing({ text: e.result.text, language: resolveLanguage(e.result) });
+            }
+        };
+
+        recognizer.recognized = (sender, e) => {
+            if (e.result.reason === sdk.ResultReason.RecognizedSpeech && e.result.text) {
+                console.log(`[STT] ✅ Utterance: "${e.result.text}"`);
+                onRecognized({
+                    text: e.result.text,
+                    language: resolveLanguage(e.result),
+                    confidence: language && language !== 'auto' ? 1 : 0.9
+                });
+            }
+        };
+
+        recognizer.canceled = (sender, e) => {
+            if (e.reason === sdk.CancellationReason.Error) {
+                console.error(`[STT] Continuous recognition canceled: ${e.errorDetails}`);
+                onError(new Error(e.errorDetails));
+            }
+        };
+
+        await new Promise((resolve, reject) => {
+            recognizer.startContinuousRecognitionAsync(resolve, (error) => reject(new Error(error)));
+        });
+
+        console.log(`[STT] Continuous recognition started (${format}, ${language})`);
+
+        let stopped = false;
+        return {
+            pushStream,
+            write: (chunk) => {
+                if (!stopped) {
+                    pushStream.write(chunk.buffer.slice(chunk.byteOffset, chunk.byteOffset + chunk.byteLength));
+                }
+            },
+            stop: async () => {
+                if (stopped) return;
+                stopped = true;
+                pushStream.close();
+                await new Promise((resolve) => {
+                    recognizer.stopContinuousRecognitionAsync(resolve, resolve);
+                });
+                recognizer.close();
+                speechConfig.close();
+                console.log('[STT] Continuous recognition stopped');
+            }
+        };
     }
 
     /**
@@ -286,57 +574,6 @@ export class SpeechService {
         };
     }
 
-    /**
-     * Log audio format information for debugging
-     * @param {Buffer} audioBuffer - Audio data buffer
-     */
-    logAudioInfo(audioBuffer) {
-        try {
-            console.log(`[STT] Audio buffer size: ${audioBuffer.length} bytes`);
-            
-            // Check for common audio format signatures
-            const header = audioBuffer.slice(0, Math.min(44, audioBuffer.length));
-            const headerStr = header.toString('ascii', 0, 4);
-            
-            if (headerStr === 'RIFF') {
-                console.log('[STT] Audio format: WAV/RIFF detected');
-                
-                if (audioBuffer.length >= 44) {
-                    try {
-                        // Read WAV format details
-                        const audioFormat = audioBuffer.readUInt16LE(20);
-                        const channels = audioBuffer.readUInt16LE(22);
-                        const sampleRate = audioBuffer.readUInt32LE(24);
-                        const bitsPerSample = audioBuffer.readUInt16LE(34);
-                        
-                        console.log(`[STT] WAV details - Format: ${audioFormat}, Channels: ${channels}, Sample Rate: ${sampleRate}Hz, Bits: ${bitsPerSample}`);
-                        
-                        if (sampleRate !== 16000 && sampleRate !== 44100) {
-                            console.log(`[STT] WARNING: Sample rate is ${sampleRate}Hz, recommended: 16000Hz or 44100Hz`);
-                        }
-                        if (channels !== 1) {
-                            console.log(`[STT] WARNING: ${channels} channels detected, mono (1 channel) is optimal for speech`);
-                        }
-                    } catch (parseError) {
-                        console.log('[STT] Could not parse WAV header details:', parseError.message);
-                    }
-                }
-            } else if (header.includes(Buffer.from('webm', 'ascii')) || 
-                       header.toString('hex').includes('1a45dfa3')) { // WebM signature
-                console.log('[STT] Audio format: WebM detected');
-                console.log('[STT] NOTE: WebM format detected - Azure Speech Services prefers WAV format');
-            } else if (header.includes(Buffer.from('OggS', 'ascii'))) {
-                console.log('[STT] Audio format: Ogg detected');
-            } else {
-                console.log('[STT] Audio format: Unknown/Unrecognized');
-                console.log(`[STT] Header bytes: ${header.slice(0, 8).toString('hex')}`);
-                console.log(`[STT] Header ASCII: ${header.slice(0, 8).toString('ascii').replace(/[^\x20-\x7E]/g, '.')}`);
-            }
-        } catch (error) {
-            console.log('[STT] Could not analyze audio format:', error.message);
-        }
-    }
-
     /**
      * Legacy method - kept for backward compatibility
      * @deprecated Use the new two-step detection process
@@ -419,43 +656,73 @@ export class SpeechService {
 
     /**
      * Convert text to speech
+     * Markdown, citations and abbreviations are rewritten for speech first (speechText.js)
      * @param {string} text - Text to synthesize
      * @param {string} language - Language code (e.g., 'en-US', 'ne-NP')
      * @param {string} gender - Voice gender ('male' or 'female')
+     * @param {Object} options - Session voice preferences
+     * @param {number} options.rate - Speaking rate multiplier (1.0 = normal)
+     * @param {number} options.pitch - Pitch change in percent (0 = normal)
+     * @param {string} options.format - Audio format ID from audioFormats.js ('wav', 'mp3', 'ogg', 'webm', ...)
+     * @param {string} options.voice - Voice name to use instead of the gender default where it speaks the text's language
      * @returns {Promise<Object>} Audio data as base64
      */
-    async textToSpeech(text, language = 'en-US', gender = 'female') {
-        if (!this.initialized) {
-            await this.initialize();
-        }
+    async textToSpeech(text, language = 'en-US', gender = 'female', options = {}) {
+        const { cached, ...synthesized } = await this.synthesizeSpeech(text, language, gender, options);
+        return cached ? { ...this.buildTtsResult(synthesized), cached } : this.buildTtsResult(synthesized);
+    }
+
+    /**
+     * Convert text to speech as a complete audio buffer
+     * Same options as textToSpeech
+     * @returns {Promise<Object>} { audio, mimeType, voiceUsed, language, duration, cached? }
+     */
+    async synthesizeSpeech(text, language = 'en-US', gender = 'female', options = {}) {
+        const { rate = 1.0, pitch = 0, format = 'wav', voice = null } = options;
 
         try {
             // IMPORTANT: Detect language from the TEXT content, not from input language
-            const textLanguage = this.detectLanguageFromTextContent(text);
+            const textLanguage = this.detectLanguageFromTextContent(text, language);
             console.log(`[TTS] Text language detected: ${textLanguage.language} (confidence: ${textLanguage.confidence})`);
             
             // Use detected text language if confidence is high, otherwise use provided language
             const finalLanguage = textLanguage.confidence > 0.7 ? textLanguage.language : language;
             
-            console.log(`[TTS] Synthesizing text: "${text.substring(0, 50)}..." in ${finalLanguage} (${gender})`);
+            // Select appropriate voice
+            const voiceName = this.selectVoice(finalLanguage, gender, voice);
+            const outputFormat = this.getOutputFormat(format);
+            const spokenText = toSpeechText(text, finalLanguage);
+
+            // Reuse audio already synthesized for the same spoken text, voice, format and prosody
+            const cacheParams = { text: spokenText, voice: voiceName, format: outputFormat.id, rate, pitch };
+            const cached = await this.ttsCache?.getTts(cacheParams);
+            if (cached) {
+                return { ...cached, cached: true };
+            }
+
+            if (!this.initialized) {
+                await this.initialize();
+            }
+
+            console.log(`[TTS] Synthesizing text: "${spokenText.substring(0, 50)}..." in ${finalLanguage} (${gender})`);
 
             // Create speech configuration
             const speechConfig = sdk.SpeechConfig.fromSubscription(this.speechKey, this.region);
-            
-            // Select appropriate voice
-            const voiceName = this.selectVoice(finalLanguage, gender);
             speechConfig.speechSynthesisVoiceName = voiceName;
-            speechConfig.speechSynthesisOutputFormat = sdk.SpeechSynthesisOutputFormat.Riff16Khz16BitMonoPcm;
+            speechConfig.speechSynthesisOutputFormat = outputFormat.sdkFormat;
 
-            console.log(`[TTS] Using voice: ${voiceName}`);
+            console.log(`[TTS] Using voice: ${voiceName} (rate: ${rate}, pitch: ${pitch}, format: ${format})`);
 
             // Create synthesizer
             const synthesizer = new sdk.SpeechSynthesizer(speechConfig);
 
+            // Mixed English/Nepali text is read span by span with a voice of each language
+            const ssml = this.buildSsml(spokenText, finalLanguage, gender, { rate, pitch, voice });
+
             // Perform synthesis
             const result = await new Promise((resolve, reject) => {
-                synthesizer.speakTextAsync(
-                    text,
+                synthesizer.speakSsmlAsync(
+                    ssml,
                     (result) => {
                         resolve(result);
                     },
@@ -471,17 +738,18 @@ export class SpeechService {
 
             // Check if synthesis was successful
             if (result.reason === sdk.ResultReason.SynthesizingAudioCompleted) {
-                // Convert audio data to base64
-                const audioData = Buffer.from(result.audioData).toString('base64');
-                
                 console.log(`[TTS] ✅ Generated audio: ${result.audioData.byteLength} bytes`);
                 
-                return {
-                    audioData: `data:audio/wav;base64,${audioData}`,
+                const synthesized = {
+                    audio: Buffer.from(result.audioData),
+                    mimeType: outputFormat.mimeType,
                     voiceUsed: voiceName,
                     language: finalLanguage,
                     duration: result.audioDuration
                 };
+                await this.ttsCache?.setTts(cacheParams, synthesized, { source: 'tts:azure', modelVersion: voiceName });
+                
+                return synthesized;
             } else {
                 throw new Error(`TTS synthesis failed: ${result.errorDetails}`);
             }
@@ -492,36 +760,274 @@ export class SpeechService {
         }
     }
 
+    /**
+     * Shape synthesized audio as the textToSpeech result (base64 data URI)
+     */
+    buildTtsResult({ audio, mimeType, voiceUsed, language, duration }) {
+        return {
+            audioData: `${dataUriPrefix(mimeType)}${audio.toString('base64')}`,
+            mimeType,
+            voiceUsed,
+            language,
+            duration
+        };
+    }
+
+    /**
+     * Pre-synthesize fixed phrases so they are later served from the TTS cache
+     * @param {Array} phrases - [{ text, language }]
+     * @param {Object} preferences - Voice preferences ({ voiceGender, speakingRate, pitch, audioFormat })
+     * @returns {Promise<Object>} { synthesized, cached, failed } counts
+     */
+    async warmUpTtsCache(phrases, preferences) {
+        const summary = { synthesized: 0, cached: 0, failed: 0 };
+        if (!this.ttsCache) return summary;
+
+        // One at a time to stay well inside the synthesis rate limits
+        for (const { text, language } of phrases) {
+            try {
+                const result = await this.textToSpeech(text, language, preferences.voiceGender, {
+                    rate: preferences.speakingRate,
+                    pitch: preferences.pitch,
+                    format: preferences.audioFormat
+                });
+                summary[result.cached ? 'cached' : 'synthesized']++;
+            } catch (error) {
+                summary.failed++;
+            }
+        }
+
+        console.log(`[TTS] Warm-up complete: ${summary.synthesized} synthesized, ${summary.cached} already cached, ${summary.failed} failed`);
+        return summary;
+    }
+
+    /**
+     * Convert text to speech, delivering audio chunks as they are synthesized
+     * Audio is raw 16kHz 16-bit mono PCM by default so chunks can be played back
+     * immediately; 'wav', 'mp3' and 'ogg' produce a playable file stream (WAV
+     * starts with a header for an open-ended length, sent with the first audio)
+     * @param {string} text - Text to synthesize
+     * @param {string} language - Language code (e.g., 'en-US', 'ne-NP')
+     * @param {string} gender - Voice gender ('male' or 'female')
+     * @param {Function} onChunk - Called with a Buffer for each synthesized chunk
+     * @param {Object} options - Session voice preferences ({ rate, pitch, format, voice })
+     * @returns {Promise<Object>} Voice, language and MIME type (`format`) used
+     */
+    async textToSpeechStream(text, language = 'en-US', gender = 'female', onChunk = () => {}, options = {}) {
+        const { rate = 1.0, pitch = 0, format = 'pcm', voice = null } = options;
+        const streamFormat = this.getStreamFormat(format);
+
+        const textLanguage = this.detectLanguageFromTextContent(text, language);
+        const finalLanguage = textLanguage.confidence > 0.7 ? textLanguage.language : language;
+        const voiceName = this.selectVoice(finalLanguage, gender, voice);
+        const spokenText = toSpeechText(text, finalLanguage);
+
+        // Replay cached audio in chunks of about half a second
+        const cacheParams = { text: spokenText, voice: voiceName, format: streamFormat.id, rate, pitch };
+        const cached = await this.ttsCache?.getTts(cacheParams);
+        if (cached) {
+            for (let offset = 0; offset < cached.audio.length; offset += 16000) {
+                onChunk(cached.audio.subarray(offset, offset + 16000));
+            }
+            return { voiceUsed: voiceName, language: finalLanguage, format: streamFormat.mimeType, bytes: cached.audio.length, cached: true };
+        }
+
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        const speechConfig = sdk.SpeechConfig.fromSubscription(this.speechKey, this.region);
+        speechConfig.speechSynthesisVoiceName = voiceName;
+        speechConfig.speechSynthesisOutputFormat = streamFormat.sdkFormat;
+
+        console.log(`[TTS] Streaming synthesis in ${finalLanguage} using ${voiceName} (${streamFormat.mimeType})`);
+
+        const synthesizer = new sdk.SpeechSynthesizer(speechConfig, null);
+        const chunks = [];
+        let totalBytes = 0;
+
+        synthesizer.synthesizing = (sender, e) => {
+            if (e.result.audioData && e.result.audioData.byteLength > 0) {
+                // The WAV header waits for the first audio, so a synthesis that
+                // fails outright has written nothing and can still be reported
+                if (streamFormat.wavHeader && chunks.length === 0) {
+                    const header = createWavHeader(STREAMING_WAV_DATA_SIZE, streamFormat.sampleRate);
+                    totalBytes += header.length;
+                    onChunk(header);
+                }
+                const chunk = Buffer.from(e.result.audioData);
+                totalBytes += chunk.length;
+                chunks.push(chunk);
+                onChunk(chunk);
+            }
+        };
+
+        try {
+            const ssml = this.buildSsml(spokenText, finalLanguage, gender, { rate, pitch, voice });
+            const result = await new Promise((resolve, reject) => {
+                synthesizer.speakSsmlAsync(
+                    ssml,
+                    (result) => resolve(result),
+                    (error) => reject(new Error(error))
+                );
+            });
+
+            if (result.reason !== sdk.ResultReason.SynthesizingAudioCompleted) {
+                throw new Error(`TTS synthesis failed: ${result.errorDetails}`);
+            }
+
+            console.log(`[TTS] ✅ Streamed audio: ${totalBytes} bytes`);
+
+            // Cached WAV gets a header with the real length
+            const audio = Buffer.concat(chunks);
+            await this.ttsCache?.setTts(cacheParams, {
+                audio: streamFormat.wavHeader ? Buffer.concat([createWavHeader(audio.length, streamFormat.sampleRate), audio]) : audio,
+                mimeType: streamFormat.mimeType,
+                voiceUsed: voiceName,
+                language: finalLanguage,
+                duration: result.audioDuration
+            }, { source: 'tts:azure', modelVersion: voiceName });
+
+            return {
+                voiceUsed: voiceName,
+                language: finalLanguage,
+                format: streamFormat.mimeType,
+                bytes: totalBytes
+            };
+        } finally {
+            synthesizer.close();
+            speechConfig.close();
+        }
+    }
+
+    /**
+     * Map an audio format ID to the SDK output format and MIME type
+     * Unknown IDs fall back to 16kHz WAV.
+     * @param {string} format - Format ID from audioFormats.js
+     * @returns {Object} { id, sdkFormat, mimeType, sampleRate }
+     */
+    getOutputFormat(format = 'wav') {
+        const { id, mimeType, sampleRate, sdkFormat } = getAudioFormat(format);
+        return { id, sdkFormat: sdk.SpeechSynthesisOutputFormat[sdkFormat], mimeType, sampleRate };
+    }
+
+    /**
+     * Map a streaming format to the SDK output format and MIME type
+     * Riff formats deliver headerless chunks, so WAV is streamed as raw PCM
+     * behind a header written by textToSpeechStream.
+     * @param {string} format - 'pcm' or a format ID from audioFormats.js
+     * @returns {Object} { id, sdkFormat, mimeType, sampleRate, wavHeader }
+     */
+    getStreamFormat(format = 'pcm') {
+        if (format === 'pcm') {
+            return {
+                id: 'pcm',
+                sdkFormat: sdk.SpeechSynthesisOutputFormat.Raw16Khz16BitMonoPcm,
+                mimeType: PCM_STREAM_FORMAT,
+                sampleRate: TARGET_SAMPLE_RATE,
+                wavHeader: false
+            };
+        }
+
+        const output = getAudioFormat(format);
+        return {
+            id: output.id,
+            sdkFormat: sdk.SpeechSynthesisOutputFormat[output.rawFormat || output.sdkFormat],
+            mimeType: output.mimeType,
+            sampleRate: output.sampleRate,
+            wavHeader: Boolean(output.rawFormat)
+        };
+    }
+
+    /**
+     * Build SSML for text: language spans, prosody and pauses (see ssmlBuilder.js)
+     * @param {string} text - Text to speak
+     * @param {string} language - Primary language code
+     * @param {string} gender - Voice gender used for every span
+     * @param {Object} options - { rate: multiplier, pitch: percent, voice: voice name for spans in its language }
+     * @returns {string} SSML document
+     */
+    buildSsml(text, language, gender, { rate = 1.0, pitch = 0, voice = null } = {}) {
+        return buildSsml(text, {
+            language,
+            locale: this.voiceCatalog.synthesisLocale(language),
+            selectVoice: spanLanguage => this.selectVoice(spanLanguage, gender, voice),
+            voiceStyle: voiceName => this.voiceCatalog.findVoice(voiceName)?.style,
+            rate,
+            pitch
+        });
+    }
+
     /**
      * Select appropriate voice based on language and gender
+     * Locales without voices of their own use the catalog's explicit fallbacks.
      * @param {string} language - Language code
      * @param {string} gender - Voice gender preference
+     * @param {string} voice - Requested voice name, used if it speaks this language
      * @returns {string} Voice name
      */
-    selectVoice(language, gender = 'female') {
-        // Normalize language code
-        let normalizedLang = language.toLowerCase();
-        
-        // Map various Nepali language codes to ne-NP
-        if (normalizedLang.includes('ne') || normalizedLang.includes('nepali')) {
-            normalizedLang = 'ne-NP';
-        } else {
-            // Default to English for unknown languages
-            normalizedLang = 'en-US';
+    selectVoice(language, gender = 'female', voice = null) {
+        return this.voiceCatalog.selectVoice(language, gender, voice).name;
+    }
+
+    /**
+     * Look up a TTS voice by name
+     * @param {string} name - Voice name (e.g., 'ne-NP-SagarNeural')
+     * @returns {Object|null} { name, locale, gender, displayName, style }, or null if it is not in the catalog
+     */
+    findVoice(name) {
+        return this.voiceCatalog.findVoice(name);
+    }
+
+    /**
+     * List the neural voices the Speech service offers
+     * Results are kept for the life of the process.
+     * @param {string} locale - Only voices of this locale (e.g., 'hi-IN'); all when omitted
+     * @returns {Promise<Array>} [{ name, locale, gender, displayName, localName, styles }]
+     */
+    async listAvailableVoices(locale = '') {
+        if (this.availableVoices.has(locale)) {
+            return this.availableVoices.get(locale);
         }
 
-        // Get voice from mapping
-        const voiceGroup = this.voices[normalizedLang] || this.voices['en-US'];
-        return voiceGroup[gender] || voiceGroup['female'];
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        const speechConfig = sdk.SpeechConfig.fromSubscription(this.speechKey, this.region);
+        const synthesizer = new sdk.SpeechSynthesizer(speechConfig, null);
+
+        try {
+            const result = await synthesizer.getVoicesAsync(locale);
+            if (result.reason !== sdk.ResultReason.VoicesListRetrieved) {
+                throw new Error(`Voice list failed: ${result.errorDetails}`);
+            }
+
+            const voices = result.voices.map(voice => ({
+                name: voice.shortName,
+                locale: voice.locale,
+                gender: (sdk.SynthesisVoiceGender[voice.gender] || 'Unknown').toLowerCase(),
+                displayName: voice.displayName,
+                localName: voice.localName,
+                styles: voice.styleList?.filter(Boolean) || []
+            }));
+            this.availableVoices.set(locale, voices);
+            return voices;
+        } finally {
+            synthesizer.close();
+            speechConfig.close();
+        }
     }
 
     /**
      * Detect language from text content (Devanagari script detection + pattern matching)
+     * Devanagari text is told apart as Nepali, Hindi or Maithili by its words.
      * @param {string} text - Text to analyze
+     * @param {string} hint - Expected language, kept for Devanagari text without distinguishing words
      * @returns {Object} Language detection result
      */
-    detectLanguageFromTextContent(text) {
-        // Check for Devanagari script (used for Nepali)
+    detectLanguageFromTextContent(text, hint = null) {
+        // Check for Devanagari script (used for Nepali, Hindi and Maithili)
         const devanagariRegex = /[\u0900-\u097F]/;
         const hasDevanagari = devanagariRegex.test(text);
         
@@ -534,10 +1040,11 @@ export class SpeechService {
             console.log(`[TTS] Devanagari script detected: ${devanagariChars}/${totalChars} chars (${(devanagariRatio * 100).toFixed(1)}%)`);
             
             if (devanagariRatio > 0.3) {
+                const { language, evidence } = detectDevanagariLanguage(text, hint);
                 return { 
-                    language: 'ne-NP', 
+                    language, 
                     confidence: Math.min(0.7 + devanagariRatio * 0.3, 0.95),
-                    method: 'devanagari-script'
+                    method: evidence > 0 ? 'devanagari-words' : 'devanagari-script'
                 };
             }
         }
@@ -652,4 +1159,25 @@ export class SpeechService {
     }
 }
 
+/**
+ * 44-byte header for 16-bit mono PCM WAV data
+ */
+function createWavHeader(dataBytes, sampleRate = TARGET_SAMPLE_RATE) {
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(dataBytes + 36, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);                     // PCM
+    header.writeUInt16LE(1, 22);                     // mono
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * 2, 28);        // byte rate
+    header.writeUInt16LE(2, 32);                     // block align
+    header.writeUInt16LE(16, 34);                    // bits per sample
+    header.write('data', 36);
+    header.writeUInt32LE(dataBytes, 40);
+    return header;
+}
+
 export default SpeechService;
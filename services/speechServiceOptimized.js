@@ -4,6 +4,13 @@
  */
 
 import * as sdk from 'microsoft-cognitiveservices-speech-sdk';
+import { createLanguageIdConfig, combinePhrases } from './languageId.js';
+import { AUTO_DETECT_LANGUAGES } from './languages.js';
+import { recognizeContinuously, toSegment } from './recognition.js';
+import { buildSsml } from './ssmlBuilder.js';
+import { toSpeechText } from './speechText.js';
+import { getAudioFormat } from './audioFormats.js';
+import { VoiceCatalog } from './voiceCatalog.js';
 
 export class OptimizedSpeechService {
     constructor() {
@@ -12,6 +19,10 @@ export class OptimizedSpeechService {
         this.region = process.env.AZURE_REGION || 'swedencentral';
         this.initialized = false;
 
+        // 'single-pass' (one recognition with language ID) or 'two-step'
+        this.sttMode = process.env.STT_MODE || 'single-pass';
+        this.lidMinConfidence = parseFloat(process.env.STT_LID_MIN_CONFIDENCE) || 0.7;
+
         // Connection Pool Configuration
         this.configPool = [];
         this.poolSize = 5;
@@ -21,17 +32,8 @@ export class OptimizedSpeechService {
             destroyed: 0
         };
 
-        // Voice mappings for TTS
-        this.voices = {
-            'ne-NP': {
-                female: 'ne-NP-HemkalaNeural',
-                male: 'ne-NP-SagarNeural'
-            },
-            'en-US': {
-                female: 'en-US-AriaNeural', 
-                male: 'en-US-DavisNeural'
-            }
-        };
+        // TTS voices by locale and gender (see voiceCatalog.js)
+        this.voiceCatalog = VoiceCatalog.fromFile();
 
         // Performance metrics
         this.metrics = {
@@ -76,6 +78,7 @@ export class OptimizedSpeechService {
         for (let i = 0; i < this.poolSize; i++) {
             const config = sdk.SpeechConfig.fromSubscription(this.speechKey, this.region);
             config.outputFormat = sdk.OutputFormat.Detailed;
+            config.requestWordLevelTimestamps();
             
             // Optimize for performance
             config.setProperty('Speech_LogFilename', ''); // Disable logging for performance
@@ -104,6 +107,7 @@ export class OptimizedSpeechService {
             console.log('[Pool] All configs in use, creating temporary');
             const config = sdk.SpeechConfig.fromSubscription(this.speechKey, this.region);
             config.outputFormat = sdk.OutputFormat.Detailed;
+            config.requestWordLevelTimestamps();
             
             poolItem = {
                 config,
@@ -140,8 +144,12 @@ export class OptimizedSpeechService {
 
     /**
      * Optimized speech-to-text with connection pooling
+     * Single-pass mode falls back to two-step when the language confidence is low
+     * Transcription is continuous, so the result has every phrase as `segments`
+     * @param {Object} options - { mode: 'single-pass' | 'two-step' }
      */
-    async speechToText(audioBuffer) {
+    async speechToText(audioBuffer, options = {}) {
+        const { mode = this.sttMode } = options;
         const startTime = Date.now();
         
         if (!this.initialized) {
@@ -163,6 +171,19 @@ export class OptimizedSpeechService {
 
             // Get config from pool
             poolItem = this.getConfigFromPool();
+
+            // Single pass: transcript and language from one recognition
+            if (mode === 'single-pass') {
+                const singlePass = await this.recognizeWithLanguageIdPooled(audioBuffer, poolItem);
+                if (singlePass.transcript && singlePass.confidence >= this.lidMinConfidence) {
+                    return {
+                        ...singlePass,
+                        method: 'pooled-single-pass',
+                        processingTime: this.recordSttTime(startTime)
+                    };
+                }
+                console.log('[STT] Low language confidence, falling back to two-step');
+            }
             
             // Step 1: Language detection with pooled config
             const detectedLanguage = await this.detectLanguageFromAudioPooled(audioBuffer, poolItem);
@@ -174,19 +195,13 @@ export class OptimizedSpeechService {
                 poolItem
             );
 
-            // Update metrics
-            this.metrics.sttCount++;
-            const duration = Date.now() - startTime;
-            this.metrics.avgSttTime = 
-                (this.metrics.avgSttTime * (this.metrics.sttCount - 1) + duration) / 
-                this.metrics.sttCount;
-
             return {
                 transcript: transcriptionResult.transcript,
                 language: detectedLanguage.language,
                 confidence: detectedLanguage.confidence,
+                segments: transcriptionResult.segments,
                 method: 'pooled-two-step',
-                processingTime: duration
+                processingTime: this.recordSttTime(startTime)
             };
 
         } catch (error) {
@@ -207,13 +222,55 @@ export class OptimizedSpeechService {
         }
     }
 
+    /**
+     * Update STT timing metrics
+     * @returns {number} Duration in ms
+     */
+    recordSttTime(startTime) {
+        this.metrics.sttCount++;
+        const duration = Date.now() - startTime;
+        this.metrics.avgSttTime = 
+            (this.metrics.avgSttTime * (this.metrics.sttCount - 1) + duration) / 
+            this.metrics.sttCount;
+        return duration;
+    }
+
+    /**
+     * Single-pass recognition with at-start language ID using pooled config
+     */
+    async recognizeWithLanguageIdPooled(audioBuffer, poolItem) {
+        try {
+            const autoDetectConfig = createLanguageIdConfig(poolItem.config, 'at-start');
+
+            const pushStream = sdk.AudioInputStream.createPushStream();
+            pushStream.write(audioBuffer);
+            pushStream.close();
+
+            const audioConfig = sdk.AudioConfig.fromStreamInput(pushStream);
+            const recognizer = new sdk.SpeechRecognizer(poolItem.config, audioConfig, autoDetectConfig);
+
+            const segments = (await recognizeContinuously(recognizer, { audioBytes: audioBuffer.length })).map(result => toSegment(result));
+            const phrases = segments.map(({ text, language, languageConfidence }) => ({
+                text,
+                language,
+                confidence: languageConfidence
+            }));
+
+            return { ...combinePhrases(phrases), segments };
+
+        } catch (error) {
+            console.error('[Single Pass] Failed:', error);
+            return { transcript: '', language: 'en-US', confidence: 0, segments: [] };
+        }
+    }
+
     /**
      * Optimized language detection using pooled config
      */
     async detectLanguageFromAudioPooled(audioBuffer, poolItem) {
         try {
             // Create auto-detect config
-            const autoDetectConfig = sdk.AutoDetectSourceLanguageConfig.fromLanguages(['en-US', 'ne-NP']);
+            const autoDetectConfig = sdk.AutoDetectSourceLanguageConfig.fromLanguages(AUTO_DETECT_LANGUAGES);
 
             // Create push stream
             const pushStream = sdk.AudioInputStream.createPushStream();
@@ -259,6 +316,8 @@ export class OptimizedSpeechService {
 
     /**
      * Optimized transcription using pooled config
+     * Continuous recognition, so audio longer than one phrase is transcribed in full
+     * @returns {Promise<Object>} { transcript, segments }
      */
     async transcribeWithLanguagePooled(audioBuffer, language, poolItem) {
         try {
@@ -275,33 +334,11 @@ export class OptimizedSpeechService {
             // Create recognizer with pooled config
             const recognizer = new sdk.SpeechRecognizer(poolItem.config, audioConfig);
 
-            const result = await new Promise((resolve, reject) => {
-                const timeout = setTimeout(() => {
-                    recognizer.close();
-                    reject(new Error('Transcription timeout'));
-                }, 15000); // 15 second timeout
-
-                recognizer.recognizeOnceAsync(
-                    (result) => {
-                        clearTimeout(timeout);
-                        resolve(result);
-                    },
-                    (error) => {
-                        clearTimeout(timeout);
-                        reject(new Error(error));
-                    }
-                );
-            });
-
-            recognizer.close();
-
-            if (result.reason === sdk.ResultReason.RecognizedSpeech) {
-                return { transcript: result.text };
-            } else if (result.reason === sdk.ResultReason.NoMatch) {
-                return { transcript: '' };
-            } else {
-                throw new Error(`Recognition failed: ${sdk.ResultReason[result.reason]}`);
-            }
+            const segments = (await recognizeContinuously(recognizer, { audioBytes: audioBuffer.length })).map(result => toSegment(result, language));
+            return {
+                transcript: segments.map(segment => segment.text).join(' '),
+                segments
+            };
 
         } catch (error) {
             console.error('[Transcription] Failed:', error);
@@ -336,7 +373,7 @@ export class OptimizedSpeechService {
         }
 
         // Validate and normalize language code
-        if (!['en-US', 'ne-NP'].includes(detectedLanguage)) {
+        if (!AUTO_DETECT_LANGUAGES.includes(detectedLanguage)) {
             detectedLanguage = 'en-US';
             confidence = 0.5;
         }
@@ -346,8 +383,10 @@ export class OptimizedSpeechService {
 
     /**
      * Optimized text-to-speech with connection pooling
+     * @param {Object} options - { format: format ID from audioFormats.js (default 'wav') }
      */
-    async textToSpeech(text, language = 'en-US', gender = 'female') {
+    async textToSpeech(text, language = 'en-US', gender = 'female', options = {}) {
+        const outputFormat = getAudioFormat(options.format);
         const startTime = Date.now();
         
         if (!this.initialized) {
@@ -360,13 +399,14 @@ export class OptimizedSpeechService {
             // Get config from pool
             poolItem = this.getConfigFromPool();
             
-            // Select appropriate voice
-            const voiceMap = this.voices[language] || this.voices['en-US'];
-            const voiceName = voiceMap[gender] || voiceMap.female;
+            // Select appropriate voice per language span
+            const selectVoice = (spanLanguage) => this.voiceCatalog.selectVoice(spanLanguage, gender).name;
+            const voiceStyle = (voiceName) => this.voiceCatalog.findVoice(voiceName)?.style;
+            const ssml = buildSsml(toSpeechText(text, language), { language, selectVoice, voiceStyle });
             
-            poolItem.config.speechSynthesisVoiceName = voiceName;
+            poolItem.config.speechSynthesisVoiceName = selectVoice(language);
             poolItem.config.speechSynthesisOutputFormat = 
-                sdk.SpeechSynthesisOutputFormat.Riff16Khz16BitMonoPcm;
+                sdk.SpeechSynthesisOutputFormat[outputFormat.sdkFormat];
 
             // Create synthesizer with pooled config
             const synthesizer = new sdk.SpeechSynthesizer(poolItem.config);
@@ -377,8 +417,8 @@ export class OptimizedSpeechService {
                     reject(new Error('TTS timeout'));
                 }, 20000); // 20 second timeout
 
-                synthesizer.speakTextAsync(
-                    text,
+                synthesizer.speakSsmlAsync(
+                    ssml,
                     (result) => {
                         clearTimeout(timeout);
                         resolve(result);
@@ -404,6 +444,8 @@ export class OptimizedSpeechService {
                 return {
                     success: true,
                     audioData,
+                    mimeType: outputFormat.mimeType,
+                    format: outputFormat.id,
                     processingTime: duration
                 };
             } else {
@@ -0,0 +1,232 @@
+/**
+ * Speech Text
+ * Prepares agent answers for speech synthesis. The text response shown to the
+ * user keeps its markdown; only the spoken version is rewritten:
+ * - Inline markdown (bold, italics, code, links, images, tables) is reduced
+ *   to the words it shows; bare URLs are read as their domain
+ * - Citation markers ([1], 【4:0†source】, [^1]) are dropped
+ * - Numbered lists become spoken enumerations ("First, ...", "पहिलो, ...")
+ * - Common abbreviations, amounts in rupees and dates are expanded per language
+ *   (English, Nepali, Hindi, Maithili; others use the English rules)
+ *
+ * Line structure is kept for ssmlBuilder.js: headings stay as "# " lines and
+ * list items as "- " lines, so pauses are still inserted around them.
+ */
+
+import { CITATION_MARKER_REGEX } from './providers/citations.js';
+
+const ORDINALS = {
+    'en-US': ['First', 'Second', 'Third', 'Fourth', 'Fifth', 'Sixth', 'Seventh', 'Eighth', 'Ninth', 'Tenth'],
+    'ne-NP': ['पहिलो', 'दोस्रो', 'तेस्रो', 'चौथो', 'पाँचौँ', 'छैटौँ', 'सातौँ', 'आठौँ', 'नवौँ', 'दसौँ'],
+    'hi-IN': ['पहला', 'दूसरा', 'तीसरा', 'चौथा', 'पाँचवाँ', 'छठा', 'सातवाँ', 'आठवाँ', 'नौवाँ', 'दसवाँ'],
+    'mai-NP': ['पहिल', 'दोसर', 'तेसर', 'चारिम', 'पाँचम', 'छठम', 'सातम', 'आठम', 'नवम', 'दसम']
+};
+
+// Ordinals beyond the list ("11औँ"); receives ASCII digits
+const ORDINAL_SUFFIXES = {
+    'en-US': number => `Number ${number}`,
+    'ne-NP': number => `${toNepaliDigits(number)}औँ`,
+    'hi-IN': number => `${number}वाँ`,
+    'mai-NP': number => `${toNepaliDigits(number)}म`
+};
+
+// Bikram Sambat months, used for years from BS_YEAR_FROM
+const BS_MONTHS = {
+    'en-US': ['Baisakh', 'Jestha', 'Asar', 'Shrawan', 'Bhadra', 'Asoj', 'Kartik', 'Mangsir', 'Poush', 'Magh', 'Falgun', 'Chaitra'],
+    'ne-NP': ['बैशाख', 'जेठ', 'असार', 'साउन', 'भदौ', 'असोज', 'कात्तिक', 'मंसिर', 'पुस', 'माघ', 'फागुन', 'चैत'],
+    'hi-IN': ['वैशाख', 'ज्येष्ठ', 'आषाढ़', 'श्रावण', 'भाद्रपद', 'आश्विन', 'कार्तिक', 'मार्गशीर्ष', 'पौष', 'माघ', 'फाल्गुन', 'चैत्र'],
+    'mai-NP': ['बैसाख', 'जेठ', 'अखाढ़', 'साओन', 'भादव', 'आसिन', 'कातिक', 'अगहन', 'पूस', 'माघ', 'फागुन', 'चैत']
+};
+const AD_MONTHS = {
+    'en-US': ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'],
+    'ne-NP': ['जनवरी', 'फेब्रुअरी', 'मार्च', 'अप्रिल', 'मे', 'जुन', 'जुलाई', 'अगस्ट', 'सेप्टेम्बर', 'अक्टोबर', 'नोभेम्बर', 'डिसेम्बर'],
+    'hi-IN': ['जनवरी', 'फ़रवरी', 'मार्च', 'अप्रैल', 'मई', 'जून', 'जुलाई', 'अगस्त', 'सितंबर', 'अक्टूबर', 'नवंबर', 'दिसंबर'],
+    'mai-NP': ['जनवरी', 'फरवरी', 'मार्च', 'अप्रैल', 'मई', 'जून', 'जुलाई', 'अगस्त', 'सितम्बर', 'अक्टूबर', 'नवम्बर', 'दिसम्बर']
+};
+const BS_YEAR_FROM = 2051;
+
+const RUPEES = { 'en-US': 'rupees', 'ne-NP': 'रुपैयाँ', 'hi-IN': 'रुपये', 'mai-NP': 'टाका' };
+
+// [pattern, replacement] applied in order
+const ABBREVIATIONS = {
+    'en-US': [
+        [/\bArts\.(?=\s*\d)/g, 'Articles'],
+        [/\bArt\.(?=\s*\d)/g, 'Article'],
+        [/\bSec\.(?=\s*\d)/g, 'Section'],
+        [/\bCl\.(?=\s*\d)/g, 'Clause'],
+        [/\bNo\.(?=\s*\d)/g, 'Number'],
+        [/\bGovt\./g, 'Government'],
+        [/\be\.g\./gi, 'for example'],
+        [/\bi\.e\./gi, 'that is'],
+        [/\betc\./g, 'et cetera'],
+        [/\bB\.S\./g, 'Bikram Sambat'],
+        [/\bvs\./gi, 'versus']
+    ],
+    'ne-NP': [
+        [/\bArts?\.(?=\s*[\d०-९])/g, 'धारा'],
+        [/नं\.\s*/g, 'नम्बर '],
+        [/वि\.\s?सं\./g, 'विक्रम संवत'],
+        [/ई\.\s?सं\./g, 'इस्वी संवत'],
+        [/\bB\.S\./g, 'विक्रम संवत']
+    ],
+    'hi-IN': [
+        [/\bArts?\.(?=\s*[\d०-९])/g, 'अनुच्छेद'],
+        [/नं\.\s*/g, 'नंबर '],
+        [/वि\.\s?सं\./g, 'विक्रम संवत'],
+        [/ई\.\s?सं\./g, 'ईसवी सन'],
+        [/\bB\.S\./g, 'विक्रम संवत']
+    ],
+    'mai-NP': [
+        [/\bArts?\.(?=\s*[\d०-९])/g, 'धारा'],
+        [/नं\.\s*/g, 'नम्बर '],
+        [/वि\.\s?सं\./g, 'विक्रम संवत'],
+        [/\bB\.S\./g, 'विक्रम संवत']
+    ]
+};
+
+// "NRs 5,000", "Rs. 500", "रु. ५००", optionally followed by a scale word
+const AMOUNT = /(?:\bNRs|\bRs|रु|रू)\.?\s*([\d०-९][\d०-९,.]*(?:\s*(?:lakh|crore|million|billion|हजार|लाख|करोड|अर्ब))?)/g;
+// 2081-05-12, 2081/05/12, 2081.05.12 (either digit set)
+const DATE = /(?<![\d०-९])([12]\d{3}|[१२][०-९]{3})[-/.]([\d०-९]{1,2})[-/.]([\d०-९]{1,2})(?![\d०-९])/g;
+
+/**
+ * Convert an answer into text for speech synthesis
+ * @param {string} text - Agent answer (markdown)
+ * @param {string} language - Primary language of the answer ('en-US', 'ne-NP', 'hi-IN' or 'mai-NP')
+ * @returns {string} Spoken text
+ */
+export function toSpeechText(text, language = 'en-US') {
+    const lang = ORDINALS[language] ? language : 'en-US';
+
+    const lines = [];
+    let inCodeBlock = false;
+
+    for (const rawLine of String(text || '').split(/\r?\n/)) {
+        if (/^\s*(```|~~~)/.test(rawLine)) {
+            inCodeBlock = !inCodeBlock;
+            continue;
+        }
+        const line = inCodeBlock ? rawLine : speakLine(rawLine, lang);
+        if (line !== null) lines.push(line);
+    }
+
+    let spoken = lines.join('\n');
+    spoken = expandDates(spoken, lang);
+    spoken = spoken.replace(AMOUNT, (match, amount) => `${amount} ${RUPEES[lang]}`);
+    for (const [pattern, replacement] of ABBREVIATIONS[lang]) {
+        spoken = spoken.replace(pattern, replacement);
+    }
+
+    // English voices read ASCII digits; Devanagari voices read both
+    if (lang === 'en-US') {
+        spoken = toAsciiDigits(spoken);
+    }
+
+    return spoken
+        .replace(/[ \t]+/g, ' ')
+        .replace(/ +([,.;:!?।])/g, '$1')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Rewrite one markdown line for speech
+ * @returns {string|null} Spoken line, or null to drop the line
+ */
+function speakLine(line, language) {
+    let text = line.trim();
+
+    // Horizontal rules end a paragraph; table separator rows are dropped
+    if (/^([-*_])(\s*\1){2,}$/.test(text)) {
+        return '';
+    }
+    if (/^\|?(\s*:?-{2,}:?\s*\|)+\s*:?-*:?\s*$/.test(text)) {
+        return null;
+    }
+
+    text = text.replace(/^(>\s*)+/, '');
+
+    // Table rows: read the cells as a list
+    if (/^\|.*\|$/.test(text)) {
+        text = text.slice(1, -1).split('|').map(cell => cell.trim()).filter(Boolean).join(', ');
+    }
+
+    let prefix = '';
+    const heading = text.match(/^#{1,6}\s+/);
+    const numbered = text.match(/^([\d०-९]+)[.)]\s+/);
+    const bullet = text.match(/^[-*+•]\s+/);
+
+    if (heading) {
+        prefix = '# ';
+        text = text.slice(heading[0].length);
+    } else if (numbered) {
+        prefix = `- ${spokenOrdinal(toAsciiDigits(numbered[1]), language)}, `;
+        text = text.slice(numbered[0].length);
+    } else if (bullet) {
+        prefix = '- ';
+        text = text.slice(bullet[0].length);
+    }
+
+    return prefix + stripInlineMarkdown(text).replace(/^#+\s*|\s*#+$/g, '');
+}
+
+/**
+ * Reduce inline markdown and citations to the words they show
+ */
+function stripInlineMarkdown(text) {
+    return text
+        .replace(CITATION_MARKER_REGEX, '')
+        .replace(/\[\^[^\]]*\]/g, '')                       // footnotes
+        .replace(/\s?\[\d+(?:\s*[,–-]\s*\d+)*\]/g, '')       // numbered references
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')            // images → alt text
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')             // links → link text
+        .replace(/<https?:\/\/[^>]+>|https?:\/\/\S+/g, url => spokenDomain(url))
+        .replace(/<\/?[a-z][^>]*>/gi, '')                    // inline HTML
+        .replace(/`([^`]*)`/g, '$1')
+        .replace(/(\*\*|__)(.+?)\1/g, '$2')
+        .replace(/~~(.+?)~~/g, '$1')
+        .replace(/(^|[\s(])[*_]([^*_\s][^*_]*?)[*_](?=[\s).,;:!?।]|$)/g, '$1$2');
+}
+
+/**
+ * "https://www.lawcommission.gov.np/en/..." → "lawcommission.gov.np"
+ */
+function spokenDomain(url) {
+    const match = url.match(/^<?https?:\/\/(?:www\.)?([^/\s>?#]+)/);
+    return match ? match[1] : '';
+}
+
+function spokenOrdinal(number, language) {
+    return ORDINALS[language][parseInt(number, 10) - 1] || ORDINAL_SUFFIXES[language](number);
+}
+
+/**
+ * Read numeric dates as day, month name and year in the answer's language
+ * Years from BS_YEAR_FROM are Bikram Sambat, earlier ones Gregorian.
+ * Nepali and Maithili read year first with Devanagari digits; Hindi day first.
+ */
+function expandDates(text, language) {
+    return text.replace(DATE, (match, year, month, day) => {
+        const y = parseInt(toAsciiDigits(year), 10);
+        const m = parseInt(toAsciiDigits(month), 10);
+        const d = parseInt(toAsciiDigits(day), 10);
+        if (m < 1 || m > 12 || d < 1 || d > 32) return match;
+
+        const months = y >= BS_YEAR_FROM ? BS_MONTHS : AD_MONTHS;
+        const monthName = months[language][m - 1];
+        if (language === 'ne-NP' || language === 'mai-NP') {
+            return `${toNepaliDigits(String(y))} ${monthName} ${toNepaliDigits(String(d))}`;
+        }
+        return `${d} ${monthName} ${y}`;
+    });
+}
+
+function toAsciiDigits(text) {
+    return text.replace(/[०-९]/g, digit => String(digit.charCodeAt(0) - 0x0966));
+}
+
+function toNepaliDigits(text) {
+    return text.replace(/[0-9]/g, digit => String.fromCharCode(0x0966 + Number(digit)));
+}
+
+export default toSpeechText;
@@ -0,0 +1,183 @@
+/**
+ * SSML Builder
+ * Turns answer text into SSML for Azure TTS:
+ * - Mixed-script text is split into language spans (Devanagari → the primary
+ *   language if it is written in Devanagari, else ne-NP; Latin → en-US), each
+ *   read by a voice of that language
+ * - Speaking rate and pitch preferences are applied as prosody
+ * - Voices with a configured speaking style are wrapped in mstts:express-as
+ * - Pauses are inserted after headings, between list items and paragraphs
+ * - Text is XML-escaped
+ */
+
+import { DEFAULT_DEVANAGARI_LANGUAGE, isDevanagariLanguage } from './languages.js';
+
+// Pause lengths in ms
+const BREAKS = {
+    heading: 600,
+    listItem: 300,
+    paragraph: 500
+};
+
+const DEVANAGARI = /[\u0900-\u097F]/;
+const LATIN = /[A-Za-z\u00C0-\u024F]/;
+const HEADING = /^#{1,6}\s+/;
+const LIST_ITEM = /^\s*(?:[-*•]\s+|\d+[.)]\s+)/;
+const BULLET = /^\s*[-*•]\s+/;
+
+/**
+ * Escape text for use in SSML
+ */
+export function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Split text into runs of one script
+ * Spaces, digits and punctuation stay with the run they follow. Text without
+ * Devanagari is a single span in the default language, so romanized Nepali is
+ * still read by the Nepali voice.
+ * @param {string} text - Text to split
+ * @param {string} defaultLanguage - Language of text without Devanagari
+ * @returns {Array} [{ text, language }]
+ */
+export function splitLanguageSpans(text, defaultLanguage = 'en-US') {
+    if (!DEVANAGARI.test(text)) {
+        return text ? [{ text, language: defaultLanguage }] : [];
+    }
+
+    // Hindi or Maithili answers keep their language for Devanagari runs
+    const devanagariLanguage = isDevanagariLanguage(defaultLanguage) ? defaultLanguage : DEFAULT_DEVANAGARI_LANGUAGE;
+    const spans = [];
+    let current = null;
+
+    for (const char of text) {
+        let language = null;
+        if (DEVANAGARI.test(char)) language = devanagariLanguage;
+        else if (LATIN.test(char)) language = 'en-US';
+
+        if (!current || (language && current.language && language !== current.language)) {
+            current = { text: '', language };
+            spans.push(current);
+        }
+        current.language = current.language || language;
+        current.text += char;
+    }
+
+    // A run of only digits and punctuation (e.g. a leading "1. ") takes the next run's language
+    return spans.map((span, i) => ({
+        text: span.text,
+        language: span.language || spans[i + 1]?.language || defaultLanguage
+    }));
+}
+
+/**
+ * Build an SSML document for text
+ * @param {string} text - Text to speak (plain text or light markdown)
+ * @param {Object} options
+ * @param {string} options.language - Primary language; used for text without Devanagari
+ * @param {string} options.locale - xml:lang of the document, when the language has no voices of its own (default language)
+ * @param {Function} options.selectVoice - Maps a language code to a voice name
+ * @param {Function} options.voiceStyle - Maps a voice name to its speaking style, or null
+ * @param {number} options.rate - Speaking rate multiplier (1.0 = normal)
+ * @param {number} options.pitch - Pitch change in percent (0 = normal)
+ * @returns {string} SSML document
+ */
+export function buildSsml(text, { language = 'en-US', locale = language, selectVoice, voiceStyle = () => null, rate = 1.0, pitch = 0 }) {
+    const groups = [];
+
+    for (const item of tokenize(text)) {
+        if (item.pause) {
+            // Pauses belong to the voice that is speaking; leading pauses are dropped
+            groups[groups.length - 1]?.parts.push(`<break time="${item.pause}ms"/>`);
+            continue;
+        }
+
+        for (const span of splitLanguageSpans(item.text, language)) {
+            const voice = selectVoice(span.language);
+            let group = groups[groups.length - 1];
+            if (!group || group.voice !== voice) {
+                group = { voice, parts: [] };
+                groups.push(group);
+            }
+            group.parts.push(escapeXml(span.text));
+        }
+    }
+
+    const prosody = buildProsodyAttributes(rate, pitch);
+    let styled = false;
+    const voices = groups.map(({ voice, parts }) => {
+        let content = parts.join('').trim();
+        if (prosody) {
+            content = `<prosody ${prosody}>${content}</prosody>`;
+        }
+        const style = voiceStyle(voice);
+        if (style) {
+            styled = true;
+            content = `<mstts:express-as style="${escapeXml(style)}">${content}</mstts:express-as>`;
+        }
+        return `<voice name="${voice}">${content}</voice>`;
+    });
+
+    const msttsNamespace = styled ? ' xmlns:mstts="https://www.w3.org/2001/mstts"' : '';
+    return `<speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis"${msttsNamespace} xml:lang="${locale}">` +
+        voices.join('') +
+        `</speak>`;
+}
+
+/**
+ * Split text into spoken lines and pauses
+ * Markdown heading marks and list bullets are dropped; list numbers are kept.
+ * @returns {Array} [{ text } | { pause }]
+ */
+function tokenize(text) {
+    const items = [];
+    const pause = ms => {
+        const last = items[items.length - 1];
+        if (!last) return;
+        if (last.pause) last.pause = Math.max(last.pause, ms);
+        else items.push({ pause: ms });
+    };
+
+    for (const rawLine of String(text).split(/\r?\n/)) {
+        const line = rawLine.trim();
+
+        if (!line) {
+            pause(BREAKS.paragraph);
+        } else if (HEADING.test(line)) {
+            pause(BREAKS.paragraph);
+            items.push({ text: line.replace(HEADING, '') });
+            pause(BREAKS.heading);
+        } else if (LIST_ITEM.test(line)) {
+            pause(BREAKS.listItem);
+            items.push({ text: line.replace(BULLET, '') });
+        } else {
+            const last = items[items.length - 1];
+            if (last?.text !== undefined) last.text += ' ';
+            items.push({ text: line });
+        }
+    }
+
+    // Pauses at the end are not spoken
+    while (items[items.length - 1]?.pause) items.pop();
+    return items;
+}
+
+/**
+ * Prosody attributes for a rate multiplier and pitch percent, or '' for the voice defaults
+ */
+function buildProsodyAttributes(rate, pitch) {
+    if (rate === 1.0 && pitch === 0) return '';
+
+    const ratePercent = Math.round((rate - 1) * 100);
+    const rateAttr = `${ratePercent >= 0 ? '+' : ''}${ratePercent}%`;
+    const pitchAttr = `${pitch >= 0 ? '+' : ''}${Math.round(pitch)}%`;
+    return `rate="${rateAttr}" pitch="${pitchAttr}"`;
+}
+
+export default buildSsml;
@@ -0,0 +1,64 @@
+/**
+ * Text Language
+ * Tells Devanagari languages apart by their words. Nepali, Hindi and Maithili
+ * share the script, so script detection alone reads every one of them as Nepali.
+ *
+ * Function words and verb forms are the clearest signal: Hindi writes
+ * postpositions as separate words (में, से, का) and uses है/था, Nepali attaches
+ * them (नेपालमा, सरकारले) and uses छ/हो, Maithili uses अछि/छथि and हमर/अहाँ.
+ */
+
+import { DEFAULT_DEVANAGARI_LANGUAGE, isDevanagariLanguage } from './languages.js';
+
+// Whole words (2 points each)
+const MARKER_WORDS = {
+    'ne-NP': ['छ', 'छन्', 'छु', 'छौं', 'छैन', 'हो', 'होइन', 'हुन्छ', 'हुन्', 'हुने', 'भएको', 'भयो', 'गर्न', 'गर्नु', 'गर्ने', 'गरेको',
+        'पनि', 'तपाईं', 'तपाईँ', 'तपाईंको', 'हामी', 'हाम्रो', 'मलाई', 'कसरी', 'किन', 'कुन', 'सक्छ', 'सक्छु', 'थियो', 'बारेमा', 'कहिले', 'कति', 'अनि', 'र'],
+    'hi-IN': ['है', 'हैं', 'था', 'थे', 'थी', 'में', 'से', 'और', 'नहीं', 'क्या', 'कैसे', 'क्यों', 'आप', 'आपको', 'मैं', 'मुझे', 'यह', 'वह',
+        'लिए', 'भी', 'करना', 'करने', 'करता', 'करती', 'होता', 'होती', 'होगा', 'चाहिए', 'सकता', 'सकते', 'सकती', 'गया', 'रहा', 'हुआ', 'हुई', 'कब', 'कौन', 'का', 'ने'],
+    'mai-NP': ['अछि', 'छथि', 'छल', 'छलै', 'छैक', 'छी', 'हमर', 'हमरा', 'अहाँ', 'अहाँक', 'केँ', 'सँ', 'मे', 'एहि', 'ओहि', 'सेहो', 'कोना',
+        'किएक', 'कोन', 'कखन', 'कतेक', 'सकैत', 'नहि', 'भेल', 'गेल', 'करबाक', 'कएल', 'अपन']
+};
+
+// Attached postpositions and endings (1 point each)
+const MARKER_SUFFIXES = {
+    'ne-NP': /.{2,}(मा|लाई|बाट|हरू|हरु|ले)$/,
+    'hi-IN': null,
+    'mai-NP': /.{2,}(केँ|सँ|मे)$/
+};
+
+/**
+ * Pick the Devanagari language of a text
+ * Without distinguishing words the hint is kept (if it is a Devanagari
+ * language), otherwise the text is taken as Nepali.
+ * @param {string} text - Text in Devanagari
+ * @param {string} hint - Language the caller expects (e.g., the STT or session language)
+ * @returns {Object} { language, evidence, scores } - evidence is the winning score (0 when undecided)
+ */
+export function detectDevanagariLanguage(text, hint = null) {
+    const scores = Object.fromEntries(Object.keys(MARKER_WORDS).map(code => [code, 0]));
+    const words = String(text || '').split(/[\s,.;:!?।॥"'()\[\]{}\-–—]+/).filter(Boolean);
+
+    for (const word of words) {
+        for (const [code, markers] of Object.entries(MARKER_WORDS)) {
+            if (markers.includes(word)) {
+                scores[code] += 2;
+            } else if (MARKER_SUFFIXES[code]?.test(word)) {
+                scores[code] += 1;
+            }
+        }
+    }
+
+    const [best, second] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    if (best[1] > second[1]) {
+        return { language: best[0], evidence: best[1], scores };
+    }
+
+    return {
+        language: isDevanagariLanguage(hint) ? hint : DEFAULT_DEVANAGARI_LANGUAGE,
+        evidence: 0,
+        scores
+    };
+}
+
+export default detectDevanagariLanguage;
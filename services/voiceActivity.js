@@ -0,0 +1,228 @@
+/**
+ * Voice Activity Detection
+ * Energy and zero-crossing based speech detection on 16kHz mono 16-bit PCM
+ * (the output of audioNormalizer.js). Used before STT to reject clips
+ * without speech and split recordings into utterances without the silence
+ * around them, so Azure only receives audio that contains speech.
+ *
+ * Frames are 30ms. The noise floor is estimated per clip from its quietest
+ * frames, so the threshold adapts to background noise. It is capped at
+ * maxNoiseFloorDb: a clip without silence (trimmed by the client, or speech
+ * over steady noise) has no quiet frames, and its speech would otherwise be
+ * measured against itself. A loud clip in which nothing is found is still
+ * returned as one segment (fallback: true) so STT gets to decide. Voiced speech is found
+ * by energy; quieter frames with a high zero-crossing rate (fricatives such as
+ * "s" and "sh") count as speech when they border voiced frames.
+ */
+
+const SAMPLE_RATE = 16000;
+const FRAME_MS = 30;
+const FRAME_SAMPLES = SAMPLE_RATE * FRAME_MS / 1000;
+
+const DEFAULT_OPTIONS = {
+    minEnergyDb: -50,      // Frames quieter than this are never speech
+    maxNoiseFloorDb: -40,  // Louder "floors" are speech without silence around it, not noise
+    fallbackPeakDb: -30,   // Clips this loud are kept whole when no speech is found
+    noiseMarginDb: 10,     // Speech must be this much louder than the noise floor
+    fricativeMarginDb: 4,  // Lower margin for high zero-crossing (unvoiced) frames
+    fricativeZcr: 0.25,    // Zero-crossing rate (per sample) typical of fricatives
+    minSpeechMs: 90,       // Shorter bursts (clicks, taps) are ignored
+    hangoverMs: 300,       // Gaps shorter than this stay inside a segment
+    paddingMs: 150,        // Kept around speech so word edges aren't clipped
+    utterancePauseMs: 700, // Pauses at least this long separate utterances
+    maxUtteranceMs: 15000  // Longer utterances are cut at their quietest frame
+};
+
+// Silence kept between joined utterances so the recognizer still ends a phrase there
+const JOIN_GAP_MS = 500;
+
+/**
+ * Find speech segments in PCM audio
+ * @param {Buffer} pcm - 16kHz mono 16-bit little-endian PCM
+ * @param {Object} options - Overrides for DEFAULT_OPTIONS
+ * @returns {Object} { hasSpeech, segments: [{ start, end }] in ms, speechDuration, totalDuration (seconds),
+ *   noiseFloorDb, peakDb, fallback } - fallback is true when a loud clip is kept whole
+ */
+export function detectVoiceActivity(pcm, options = {}) {
+    const config = { ...DEFAULT_OPTIONS, ...options };
+    const frames = analyzeFrames(pcm);
+    const totalDuration = pcm.length / 2 / SAMPLE_RATE;
+
+    if (frames.length === 0) {
+        return { hasSpeech: false, segments: [], speechDuration: 0, totalDuration, noiseFloorDb: null, peakDb: null, fallback: false };
+    }
+
+    // Noise floor: 10th percentile of frame energy
+    const sorted = frames.map(frame => frame.energyDb).sort((a, b) => a - b);
+    const noiseFloorDb = Math.min(config.maxNoiseFloorDb, sorted[Math.floor(sorted.length * 0.1)]);
+    const peakDb = sorted[sorted.length - 1];
+    const threshold = Math.max(config.minEnergyDb, noiseFloorDb + config.noiseMarginDb);
+    const fricativeThreshold = Math.max(config.minEnergyDb, noiseFloorDb + config.fricativeMarginDb);
+
+    const voiced = frames.map(frame => frame.energyDb >= threshold);
+    const active = voiced.map((isVoiced, i) => isVoiced || (
+        frames[i].energyDb >= fricativeThreshold &&
+        frames[i].zcr >= config.fricativeZcr &&
+        (voiced[i - 1] || voiced[i + 1])
+    ));
+
+    const segments = [];
+    const hangoverFrames = Math.ceil(config.hangoverMs / FRAME_MS);
+    let start = null;
+    let lastActive = null;
+
+    active.forEach((isActive, i) => {
+        if (!isActive) return;
+        if (start !== null && i - lastActive > hangoverFrames) {
+            segments.push({ start, end: lastActive + 1 });
+            start = null;
+        }
+        if (start === null) start = i;
+        lastActive = i;
+    });
+    if (start !== null) {
+        segments.push({ start, end: lastActive + 1 });
+    }
+
+    // Drop short bursts, then pad and convert frame indexes to ms
+    const minFrames = Math.ceil(config.minSpeechMs / FRAME_MS);
+    const totalMs = Math.round(totalDuration * 1000);
+    let speech = segments
+        .filter(segment => segment.end - segment.start >= minFrames)
+        .map(segment => ({
+            start: Math.max(0, segment.start * FRAME_MS - config.paddingMs),
+            end: Math.min(totalMs, segment.end * FRAME_MS + config.paddingMs)
+        }));
+
+    const fallback = speech.length === 0 && peakDb >= config.fallbackPeakDb;
+    if (fallback) {
+        speech = [{ start: 0, end: totalMs }];
+    }
+
+    const speechDuration = speech.reduce((sum, segment) => sum + segment.end - segment.start, 0) / 1000;
+
+    return {
+        hasSpeech: speech.length > 0,
+        segments: speech,
+        speechDuration,
+        totalDuration,
+        noiseFloorDb: Math.round(noiseFloorDb * 10) / 10,
+        peakDb: Math.round(peakDb * 10) / 10,
+        fallback
+    };
+}
+
+/**
+ * Split a recording into utterances at long pauses, dropping the silence around them
+ * Segments closer than utterancePauseMs are merged; utterances longer than
+ * maxUtteranceMs are cut at their quietest frame.
+ * @param {Buffer} pcm - 16kHz mono 16-bit PCM
+ * @param {Object} activity - Result of detectVoiceActivity
+ * @param {Object} options - Overrides for DEFAULT_OPTIONS
+ * @returns {Array} [{ start, end, pcm }] with start/end in ms
+ */
+export function splitUtterances(pcm, activity, options = {}) {
+    const config = { ...DEFAULT_OPTIONS, ...options };
+    const utterances = [];
+
+    for (const segment of activity.segments) {
+        const previous = utterances[utterances.length - 1];
+        if (previous && segment.start - previous.end < config.utterancePauseMs) {
+            previous.end = segment.end;
+        } else {
+            utterances.push({ ...segment });
+        }
+    }
+
+    return utterances
+        .flatMap(utterance => splitLong(pcm, utterance, config.maxUtteranceMs))
+        .map(({ start, end }) => ({ start, end, pcm: pcm.subarray(msToByte(start), msToByte(end)) }));
+}
+
+/**
+ * Join utterances into one stream for a single recognition session
+ * @param {Array} utterances - From splitUtterances()
+ * @returns {Object} { pcm, toSourceTime } where toSourceTime maps an offset in
+ *   the joined stream (ms) back to the original recording
+ */
+export function joinUtterances(utterances) {
+    const gap = Buffer.alloc(msToByte(JOIN_GAP_MS));
+    const spans = [];
+    const parts = [];
+    let joinedMs = 0;
+
+    for (const utterance of utterances) {
+        spans.push({ joinedStart: joinedMs, sourceStart: utterance.start });
+        parts.push(utterance.pcm, gap);
+        joinedMs += utterance.end - utterance.start + JOIN_GAP_MS;
+    }
+
+    return {
+        pcm: Buffer.concat(parts),
+        toSourceTime(ms) {
+            let span = spans[0];
+            for (const candidate of spans) {
+                if (candidate.joinedStart > ms) break;
+                span = candidate;
+            }
+            return span.sourceStart + ms - span.joinedStart;
+        }
+    };
+}
+
+/**
+ * Cut an utterance longer than maxMs at the quietest frame of its middle half
+ */
+function splitLong(pcm, utterance, maxMs) {
+    if (utterance.end - utterance.start <= maxMs) return [utterance];
+
+    const frames = analyzeFrames(pcm.subarray(msToByte(utterance.start), msToByte(utterance.end)));
+    const from = Math.floor(frames.length / 4);
+    const to = Math.ceil(frames.length * 3 / 4);
+
+    let quietest = from;
+    for (let i = from; i < to; i++) {
+        if (frames[i].energyDb < frames[quietest].energyDb) quietest = i;
+    }
+
+    const cut = utterance.start + quietest * FRAME_MS;
+    return [
+        ...splitLong(pcm, { start: utterance.start, end: cut }, maxMs),
+        ...splitLong(pcm, { start: cut, end: utterance.end }, maxMs)
+    ];
+}
+
+/**
+ * Energy (dBFS) and zero-crossing rate of each 30ms frame
+ */
+function analyzeFrames(pcm) {
+    const frames = [];
+    const sampleCount = Math.floor(pcm.length / 2);
+
+    for (let offset = 0; offset + FRAME_SAMPLES <= sampleCount; offset += FRAME_SAMPLES) {
+        let sumSquares = 0;
+        let crossings = 0;
+        let previous = pcm.readInt16LE(offset * 2);
+
+        for (let i = offset; i < offset + FRAME_SAMPLES; i++) {
+            const sample = pcm.readInt16LE(i * 2);
+            sumSquares += sample * sample;
+            if ((sample >= 0) !== (previous >= 0)) crossings++;
+            previous = sample;
+        }
+
+        const rms = Math.sqrt(sumSquares / FRAME_SAMPLES) / 32768;
+        frames.push({
+            energyDb: rms > 0 ? 20 * Math.log10(rms) : -100,
+            zcr: crossings / FRAME_SAMPLES
+        });
+    }
+
+    return frames;
+}
+
+function msToByte(ms) {
+    return Math.round(ms * SAMPLE_RATE / 1000) * 2;
+}
+
+export default detectVoiceActivity;
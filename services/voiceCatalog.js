@@ -0,0 +1,145 @@
+/**
+ * Voice Catalog
+ * TTS voices defined in a config file (config/voices.json, or VOICES_FILE):
+ * - voices: [{ name, locale, gender, displayName, style? }]; the first voice
+ *   listed for a locale and gender is its default
+ * - fallbacks: locale → locale to use when a locale has no voices of its own
+ * - defaultLocale: spoken with when synthesizing anything else
+ *
+ * Locales are matched exactly (case-insensitive); a code is only mapped to a
+ * different locale through an explicit fallback. Listing voices for any other
+ * code finds none; only synthesis falls back to defaultLocale.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_VOICES_FILE = path.join(__dirname, '..', 'config', 'voices.json');
+export const VOICE_GENDERS = ['female', 'male', 'neutral'];
+
+export class VoiceCatalog {
+    /**
+     * @param {Object} config - { voices, fallbacks, defaultLocale }
+     */
+    constructor(config) {
+        const { voices = [], fallbacks = {}, defaultLocale } = config;
+
+        this.voices = voices.map(voice => validateVoice(voice));
+        this.locales = [...new Set(this.voices.map(voice => voice.locale))];
+        this.localeIndex = new Map(this.locales.map(locale => [locale.toLowerCase(), locale]));
+
+        if (!this.localeIndex.has(String(defaultLocale).toLowerCase())) {
+            throw new Error(`[VoiceCatalog] defaultLocale ${defaultLocale} has no voices`);
+        }
+        this.defaultLocale = this.localeIndex.get(defaultLocale.toLowerCase());
+
+        // Keyed by lowercase code; `from` keeps the configured spelling
+        this.fallbacks = new Map();
+        for (const [from, to] of Object.entries(fallbacks)) {
+            if (!this.localeIndex.has(to.toLowerCase())) {
+                throw new Error(`[VoiceCatalog] Fallback ${from} → ${to}: ${to} has no voices`);
+            }
+            this.fallbacks.set(from.toLowerCase(), { from, locale: this.localeIndex.get(to.toLowerCase()) });
+        }
+    }
+
+    /**
+     * Load a catalog from a JSON file
+     * @param {string} file - Path to the voices file (default VOICES_FILE or config/voices.json)
+     * @returns {VoiceCatalog}
+     */
+    static fromFile(file = process.env.VOICES_FILE || DEFAULT_VOICES_FILE) {
+        const catalog = new VoiceCatalog(JSON.parse(fs.readFileSync(file, 'utf8')));
+        console.log(`[VoiceCatalog] Loaded ${catalog.voices.length} voices for ${catalog.locales.join(', ')}`);
+        return catalog;
+    }
+
+    /**
+     * Map a language code to a locale with voices
+     * @param {string} language - Language code (e.g., 'ne-NP', 'en-IN', 'ne')
+     * @returns {Object|null} { locale, fallback } - fallback is true when the code had no
+     *   voices of its own; null when it has neither voices nor a fallback
+     */
+    resolveLocale(language) {
+        const code = String(language || '').toLowerCase();
+
+        if (this.localeIndex.has(code)) {
+            return { locale: this.localeIndex.get(code), fallback: false };
+        }
+        if (this.fallbacks.has(code)) {
+            return { locale: this.fallbacks.get(code).locale, fallback: true };
+        }
+        return null;
+    }
+
+    /**
+     * Locale to synthesize a language with: its own or fallback locale, else defaultLocale
+     * @param {string} language - Language code
+     * @returns {string} Locale with voices
+     */
+    synthesisLocale(language) {
+        return this.resolveLocale(language)?.locale || this.defaultLocale;
+    }
+
+    /**
+     * Select the voice for a language
+     * @param {string} language - Language code
+     * @param {string} gender - Preferred gender; the locale's first voice if it has none
+     * @param {string} voice - Requested voice name, used if it speaks the resolved locale
+     * @returns {Object} Voice entry
+     */
+    selectVoice(language, gender = 'female', voice = null) {
+        const locale = this.synthesisLocale(language);
+        const candidates = this.voices.filter(entry => entry.locale === locale);
+
+        return candidates.find(entry => entry.name === voice) ||
+            candidates.find(entry => entry.gender === gender) ||
+            candidates[0];
+    }
+
+    /**
+     * @returns {Object|null} Voice entry with this name
+     */
+    findVoice(name) {
+        return this.voices.find(voice => voice.name === name) || null;
+    }
+
+    /**
+     * List voices, optionally for one locale (after fallbacks)
+     * @param {string} language - Language code
+     * @returns {Array} Voice entries; none for codes without voices or a fallback
+     */
+    list(language = null) {
+        if (!language) return this.voices;
+
+        const resolved = this.resolveLocale(language);
+        return resolved ? this.voices.filter(voice => voice.locale === resolved.locale) : [];
+    }
+
+    /**
+     * @returns {Object} Fallbacks as a plain object for API responses
+     */
+    getFallbacks() {
+        return Object.fromEntries([...this.fallbacks.values()].map(({ from, locale }) => [from, locale]));
+    }
+}
+
+/**
+ * Check a voice entry and normalize its optional fields
+ */
+function validateVoice(voice) {
+    const { name, locale, gender, displayName, style = null } = voice || {};
+
+    if (!name || !locale) {
+        throw new Error(`[VoiceCatalog] Voice entries need a name and locale: ${JSON.stringify(voice)}`);
+    }
+    if (!VOICE_GENDERS.includes(gender)) {
+        throw new Error(`[VoiceCatalog] ${name}: gender must be one of ${VOICE_GENDERS.join(', ')}`);
+    }
+    return { name, locale, gender, displayName: displayName || name, style };
+}
+
+export default VoiceCatalog;
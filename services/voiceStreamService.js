@@ -0,0 +1,310 @@
+/**
+ * Voice Stream Service
+ * Full-duplex voice conversation over WebSocket:
+ * audio frames in → continuous STT → agent → streamed TTS audio out
+ *
+ * Protocol (JSON text frames unless noted):
+ *   client → server
+ *     { type: 'start', sessionId, format: 'pcm'|'webm'|'ogg', sampleRate, language, voiceGender, returnAudio }
+ *     (language: 'auto' or a code from languages.js)
+ *     <binary audio frames>
+ *     { type: 'stop' }
+ *   server → client
+ *     { type: 'ready', sessionId }
+ *     { type: 'transcript', final: false|true, text, language, confidence }
+ *     { type: 'response', turnId, text, sources, language, processingTime }
+ *     { type: 'audio_start', turnId, format }  <binary PCM chunks>  { type: 'audio_end', turnId, bytes }
+ *     { type: 'audio_error', turnId, error }  (instead of audio_end, or of all three when no audio came)
+ *   turnId is the ID of the turn in the session history
+ *     { type: 'error', error }
+ *     { type: 'stopped' }
+ */
+
+import { WebSocketServer } from 'ws';
+import { getPhrase } from './commonPhrases.js';
+import { SUPPORTED_LANGUAGES } from './languages.js';
+
+export class VoiceStreamService {
+    constructor({ speechService, agentService, sessionService }) {
+        this.speechService = speechService;
+        this.agentService = agentService;
+        this.sessionService = sessionService;
+        this.wss = null;
+        this.path = '/api/voice/stream';
+
+        // Limits
+        this.config = {
+            maxConnections: parseInt(process.env.VOICE_WS_MAX_CONNECTIONS) || 50,
+            idleTimeout: 60000, // Close connections with no audio for 1 minute
+            maxFrameSize: 256 * 1024
+        };
+    }
+
+    /**
+     * Attach the WebSocket server to an existing HTTP server
+     * @param {http.Server} server - HTTP server returned by app.listen()
+     */
+    attach(server) {
+        this.wss = new WebSocketServer({
+            server,
+            path: this.path,
+            maxPayload: this.config.maxFrameSize
+        });
+
+        this.wss.on('connection', (ws, req) => this.handleConnection(ws, req));
+
+        console.log(`✅ Voice stream WebSocket listening on ${this.path}`);
+    }
+
+    /**
+     * Handle a single client connection
+     */
+    handleConnection(ws, req) {
+        if (this.wss.clients.size > this.config.maxConnections) {
+            ws.close(1013, 'Too many voice connections');
+            return;
+        }
+
+        const conversation = {
+            sessionId: null,
+            recognition: null,
+            options: {},
+            turnQueue: Promise.resolve(),
+            idleTimer: null,
+            sendAudio: null,
+            closed: false
+        };
+
+        console.log(`[VoiceStream] Client connected from ${req.socket.remoteAddress}`);
+
+        const send = (message) => {
+            if (ws.readyState === ws.OPEN) {
+                ws.send(JSON.stringify(message));
+            }
+        };
+
+        conversation.sendAudio = (chunk) => {
+            if (ws.readyState === ws.OPEN) {
+                ws.send(chunk, { binary: true });
+            }
+        };
+
+        const resetIdleTimer = () => {
+            clearTimeout(conversation.idleTimer);
+            conversation.idleTimer = setTimeout(() => {
+                console.log(`[VoiceStream] Closing idle connection for session ${conversation.sessionId}`);
+                ws.close(1000, 'Idle timeout');
+            }, this.config.idleTimeout);
+        };
+
+        ws.on('message', async (data, isBinary) => {
+            resetIdleTimer();
+
+            // Audio frame
+            if (isBinary) {
+                if (!conversation.recognition) {
+                    send({ type: 'error', error: 'Send a start message before audio frames' });
+                    return;
+                }
+                conversation.recognition.write(data);
+                return;
+            }
+
+            // Control message
+            let message;
+            try {
+                message = JSON.parse(data.toString());
+            } catch (error) {
+                send({ type: 'error', error: 'Invalid JSON message' });
+                return;
+            }
+
+            try {
+                if (message.type === 'start') {
+                    await this.startConversation(conversation, message, send);
+                } else if (message.type === 'stop') {
+                    await this.stopRecognition(conversation);
+                    await conversation.turnQueue;
+                    send({ type: 'stopped' });
+                } else {
+                    send({ type: 'error', error: `Unknown message type: ${message.type}` });
+                }
+            } catch (error) {
+                console.error('[VoiceStream] Control message error:', error);
+                send({ type: 'error', error: error.message });
+            }
+        });
+
+        ws.on('close', async () => {
+            conversation.closed = true;
+            clearTimeout(conversation.idleTimer);
+            await this.stopRecognition(conversation);
+            console.log(`[VoiceStream] Client disconnected (session ${conversation.sessionId})`);
+        });
+
+        ws.on('error', (error) => {
+            console.error('[VoiceStream] Socket error:', error.message);
+        });
+
+        resetIdleTimer();
+    }
+
+    /**
+     * Begin continuous recognition for a conversation
+     */
+    async startConversation(conversation, message, send) {
+        const { sessionId, format = 'pcm', sampleRate = 16000 } = message;
+
+        if (!sessionId) {
+            throw new Error('sessionId is required');
+        }
+
+        if (message.language && message.language !== 'auto' && !SUPPORTED_LANGUAGES.includes(message.language)) {
+            throw new Error(`language must be auto or one of: ${SUPPORTED_LANGUAGES.join(', ')}`);
+        }
+
+        await this.sessionService.getOrCreateSession(sessionId);
+
+        // Explicit start options override the session preferences
+        const preferences = await this.sessionService.getPreferences(sessionId);
+        const language = message.language || preferences.preferredLanguage;
+
+        if (!['pcm', 'webm', 'ogg'].includes(format)) {
+            throw new Error(`Unsupported audio format: ${format}`);
+        }
+
+        // Restart cleanly if the client sends start twice
+        await this.stopRecognition(conversation);
+
+        conversation.sessionId = sessionId;
+        conversation.options = {
+            voiceGender: message.voiceGender || preferences.voiceGender,
+            speakingRate: preferences.speakingRate,
+            pitch: preferences.pitch,
+            responseLength: preferences.responseLength,
+            returnAudio: message.returnAudio !== false
+        };
+
+        conversation.recognition = await this.speechService.startContinuousRecognition({
+            format,
+            sampleRate,
+            language,
+            onRecognizing: ({ text, language }) => {
+                send({ type: 'transcript', final: false, text, language });
+            },
+            onRecognized: (utterance) => {
+                send({ type: 'transcript', final: true, ...utterance });
+
+                // Process utterances one at a time, in order
+                conversation.turnQueue = conversation.turnQueue
+                    .then(() => this.handleUtterance(conversation, utterance, send))
+                    .catch((error) => {
+                        console.error('[VoiceStream] Turn error:', error);
+                        send({ type: 'error', error: 'Failed to process utterance', details: error.message });
+                    });
+            },
+            onError: (error) => {
+                send({ type: 'error', error: `Speech recognition failed: ${error.message}` });
+            }
+        });
+
+        send({ type: 'ready', sessionId });
+    }
+
+    /**
+     * Run the agent on a completed utterance and stream the spoken reply
+     */
+    async handleUtterance(conversation, utterance, send) {
+        if (conversation.closed) return;
+
+        const startTime = Date.now();
+        const { sessionId } = conversation;
+
+        const agentResult = await this.agentService.runAgentConversation(
+            sessionId,
+            utterance.text,
+            { responseLength: conversation.options.responseLength, language: utterance.language }
+        );
+
+        const responseText = agentResult.response || getPhrase('noResponse', utterance.language);
+
+        await this.sessionService.updateSession(sessionId, {
+            lastMessage: utterance.text,
+            lastResponse: responseText,
+            lastLanguage: utterance.language
+        });
+
+        // Messages for the turn carry its history ID (as in GET /api/session/:id/history)
+        const { id: turnId } = await this.sessionService.addTurn(sessionId, {
+            userText: utterance.text,
+            assistantText: responseText,
+            language: utterance.language,
+            modality: 'voice',
+            startedAt: startTime,
+            sources: agentResult.sources
+        });
+
+        send({
+            type: 'response',
+            turnId,
+            text: responseText,
+            sources: agentResult.sources,
+            language: utterance.language,
+            processingTime: Date.now() - startTime
+        });
+
+        if (!conversation.options.returnAudio || conversation.closed) return;
+
+        try {
+            let started = false;
+            const ttsResult = await this.speechService.textToSpeechStream(
+                responseText,
+                utterance.language,
+                conversation.options.voiceGender,
+                (chunk) => {
+                    if (!started) {
+                        started = true;
+                        send({ type: 'audio_start', turnId, format: 'audio/pcm;rate=16000;bits=16;channels=1' });
+                    }
+                    conversation.sendAudio(chunk);
+                },
+                { rate: conversation.options.speakingRate, pitch: conversation.options.pitch }
+            );
+            if (started) {
+                send({ type: 'audio_end', turnId, bytes: ttsResult.bytes, voice: ttsResult.voiceUsed });
+            } else {
+                send({ type: 'audio_error', turnId, error: 'No audio was synthesized' });
+            }
+        } catch (ttsError) {
+            console.error('[VoiceStream] TTS error:', ttsError.message);
+            send({ type: 'audio_error', turnId, error: 'Text-to-speech failed' });
+        }
+    }
+
+    /**
+     * Stop recognition for a conversation if running
+     */
+    async stopRecognition(conversation) {
+        if (conversation.recognition) {
+            const recognition = conversation.recognition;
+            conversation.recognition = null;
+            await recognition.stop();
+        }
+    }
+
+    /**
+     * Close all connections
+     */
+    async close() {
+        if (!this.wss) return;
+
+        for (const client of this.wss.clients) {
+            client.close(1001, 'Server shutting down');
+        }
+
+        await new Promise((resolve) => this.wss.close(resolve));
+        this.wss = null;
+    }
+}
+
+export default VoiceStreamService;
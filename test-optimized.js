@@ -6,6 +6,8 @@
  */
 
 import fetch from 'node-fetch';
+import { normalizeQuestion, questionLanguage, questionSimilarity } from './services/faqMatcher.js';
+import { detectVoiceActivity, splitUtterances } from './services/voiceActivity.js';
 
 const BASE_URL = 'http://localhost:3001';
 
@@ -85,6 +87,75 @@ async function testChat() {
     }
 }
 
+async function testChatStream() {
+    console.log('\n🌊 Testing Streaming Chat Endpoint (POST)...');
+    
+    try {
+        const response = await fetch(`${BASE_URL}/api/chat/stream`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ message: 'What is Article 51?', sessionId: `test_stream_${Date.now()}` })
+        });
+        const body = await response.text();
+        
+        const events = [...body.matchAll(/^event: (\w+)$/gm)].map(match => match[1]);
+        if (!response.ok || !events.includes('token') || !events.includes('done')) {
+            console.error(`❌ Stream incomplete: status ${response.status}, events [${events.join(', ')}]`);
+            return false;
+        }
+        console.log(`✅ Stream received: ${events.filter(event => event === 'token').length} token event(s), done`);
+        
+        return true;
+    } catch (error) {
+        console.error('❌ Chat stream test failed:', error.message);
+        return false;
+    }
+}
+
+async function testSessionHistory() {
+    console.log('\n📜 Testing Session History Endpoints...');
+    
+    const sessionId = `test_history_${Date.now()}`;
+    
+    try {
+        await fetch(`${BASE_URL}/api/chat`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ message: 'What is Article 51?', sessionId })
+        });
+        
+        const historyResponse = await fetch(`${BASE_URL}/api/session/${sessionId}/history?limit=10`);
+        const history = await historyResponse.json();
+        
+        if (!historyResponse.ok || history.total < 1) {
+            console.error('❌ History not recorded:', history.error || `total=${history.total}`);
+            return false;
+        }
+        console.log(`✅ History recorded: ${history.total} turn(s)`);
+        
+        const resetResponse = await fetch(`${BASE_URL}/api/session/${sessionId}/reset`, { method: 'POST' });
+        const afterReset = await (await fetch(`${BASE_URL}/api/session/${sessionId}/history`)).json();
+        if (!resetResponse.ok || afterReset.total !== 0) {
+            console.error('❌ Reset did not clear history');
+            return false;
+        }
+        console.log('✅ Session reset');
+        
+        const deleteResponse = await fetch(`${BASE_URL}/api/session/${sessionId}`, { method: 'DELETE' });
+        const afterDelete = await fetch(`${BASE_URL}/api/session/${sessionId}/history`);
+        if (!deleteResponse.ok || afterDelete.status !== 404) {
+            console.error('❌ Session was not deleted');
+            return false;
+        }
+        console.log('✅ Session deleted');
+        
+        return true;
+    } catch (error) {
+        console.error('❌ Session history test failed:', error.message);
+        return false;
+    }
+}
+
 async function testMetrics() {
     console.log('\n📈 Testing Metrics Endpoint...');
     
@@ -106,6 +177,118 @@ async function testMetrics() {
     }
 }
 
+async function testFaqMatcher() {
+    console.log('\n🔁 Testing FAQ Question Matching...');
+    
+    // Threshold used by the FAQ cache (CACHE_FAQ_THRESHOLD)
+    const threshold = 0.85;
+    const same = [
+        ['What are fundamental rights?', 'what are the fundamental rights'],
+        ['संविधानको धारा ५१ के हो?', 'sambidhan ko dhara 51 ke ho']
+    ];
+    const different = [
+        ['Can the president dissolve parliament?', "Can't the president dissolve parliament?"],
+        ['Who can become prime minister?', 'Who cannot become prime minister?'],
+        ['Is abortion legal in Nepal?', 'Is abortion illegal in Nepal?'],
+        ['What is the role of the president?', 'What is the role of the vice president?'],
+        ['What does Article 51 say?', 'What does Article 52 say?'],
+        ['प्रधानमन्त्री को बन्न सक्छ?', 'उपप्रधानमन्त्री को बन्न सक्छ?']
+    ];
+    
+    let passed = true;
+    for (const [pairs, shouldMatch] of [[same, true], [different, false]]) {
+        for (const [a, b] of pairs) {
+            const similarity = questionSimilarity(normalizeQuestion(a), normalizeQuestion(b));
+            if ((similarity >= threshold) !== shouldMatch) {
+                console.error(`❌ "${a}" vs "${b}": ${similarity.toFixed(3)} (expected ${shouldMatch ? 'a match' : 'no match'})`);
+                passed = false;
+            }
+        }
+    }
+    
+    // Answers are shared per question language
+    const languages = [
+        ['What is the constitution?', 'en-US'],
+        ['sambidhan ko dhara 51 ke ho', 'ne-NP'],
+        ['संविधानको धारा ५१ के हो?', 'ne-NP'],
+        ['संविधान में अनुच्छेद ५१ क्या है?', 'hi-IN'],
+        ['संविधान मे अनुच्छेद ५१ की अछि?', 'mai-NP']
+    ];
+    for (const [question, expected] of languages) {
+        const language = questionLanguage(question);
+        if (language !== expected) {
+            console.error(`❌ "${question}": language ${language} (expected ${expected})`);
+            passed = false;
+        }
+    }
+    
+    if (passed) {
+        console.log(`✅ ${same.length} matching and ${different.length} distinct pairs, ${languages.length} question languages classified correctly`);
+    }
+    return passed;
+}
+
+/**
+ * Build 16kHz 16-bit mono PCM from parts: { ms, amplitude } (0 = silence)
+ * Sound is a 150Hz tone with a shallow 4Hz modulation, roughly like steady voiced speech
+ */
+function synthesizePcm(parts) {
+    const samples = parts.reduce((sum, part) => sum + part.ms * 16, 0);
+    const pcm = Buffer.alloc(samples * 2);
+    let offset = 0;
+
+    for (const { ms, amplitude = 0 } of parts) {
+        for (let i = 0; i < ms * 16; i++, offset++) {
+            const t = offset / 16000;
+            const value = amplitude * Math.sin(2 * Math.PI * 150 * t) * (0.8 + 0.2 * Math.sin(2 * Math.PI * 4 * t));
+            pcm.writeInt16LE(Math.round(value * 32767), offset * 2);
+        }
+    }
+    return pcm;
+}
+
+async function testVoiceActivity() {
+    console.log('\n🎙️  Testing Voice Activity Detection...');
+    
+    const checks = [];
+    const check = (name, ok, details) => {
+        if (!ok) console.error(`❌ ${name}: ${JSON.stringify(details)}`);
+        checks.push(ok);
+    };
+    
+    const silence = detectVoiceActivity(synthesizePcm([{ ms: 2000 }]));
+    check('All silence has no speech', !silence.hasSpeech, silence);
+    
+    // Speech with no silence around it (trimmed by the client) must not be measured against itself
+    const trimmed = detectVoiceActivity(synthesizePcm([{ ms: 3000, amplitude: 0.3 }]));
+    check('Speech without silence is speech', trimmed.hasSpeech && trimmed.speechDuration >= 2.9, trimmed);
+    
+    const gapped = synthesizePcm([
+        { ms: 500 }, { ms: 1000, amplitude: 0.3 }, { ms: 1500 }, { ms: 800, amplitude: 0.3 }, { ms: 500 }
+    ]);
+    const gappedActivity = detectVoiceActivity(gapped);
+    const utterances = splitUtterances(gapped, gappedActivity);
+    const near = (actual, expected) => Math.abs(actual - expected) <= 200;
+    check('Speech with gaps gives two segments', gappedActivity.segments.length === 2 &&
+        near(gappedActivity.segments[0].start, 500) && near(gappedActivity.segments[0].end, 1500) &&
+        near(gappedActivity.segments[1].start, 3000) && near(gappedActivity.segments[1].end, 3800), gappedActivity.segments);
+    check('Speech with gaps gives two utterances', utterances.length === 2 &&
+        utterances.every(u => u.pcm.length === (u.end - u.start) * 32), utterances.map(({ start, end }) => ({ start, end })));
+    
+    const long = synthesizePcm([{ ms: 5000, amplitude: 0.3 }]);
+    const pieces = splitUtterances(long, detectVoiceActivity(long), { maxUtteranceMs: 2000 });
+    check('Long utterances are cut at maxUtteranceMs', pieces.length > 1 &&
+        pieces.every(u => u.end - u.start <= 2000) &&
+        pieces[0].start === 0 && pieces[pieces.length - 1].end === 5000 &&
+        pieces.every((u, i) => i === 0 || u.start === pieces[i - 1].end), pieces.map(({ start, end }) => ({ start, end })));
+    
+    const passed = checks.every(Boolean);
+    if (passed) {
+        console.log(`✅ ${checks.length} voice activity checks passed`);
+    }
+    return passed;
+}
+
 async function main() {
     console.log(`
 ╔════════════════════════════════════════════════════════════════╗
@@ -129,7 +312,11 @@ async function main() {
     // Run tests
     tests.push(await testHealth());
     tests.push(await testChat());
+    tests.push(await testChatStream());
+    tests.push(await testSessionHistory());
     tests.push(await testMetrics());
+    tests.push(await testFaqMatcher());
+    tests.push(await testVoiceActivity());
     
     // Summary
     console.log('\n' + '='.repeat(60));
@@ -3,6 +3,7 @@
  */
 
 import { SpeechService } from './services/speechService.js';
+import { splitLanguageSpans } from './services/ssmlBuilder.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -48,6 +49,11 @@ async function testNepaliTTS() {
         // Test TTS (don't actually generate audio, just check voice selection)
         const voiceToUse = speechService.selectVoice(detected.language, 'female');
         console.log(`Voice selected: ${voiceToUse}`);
+
+        // Mixed text is read span by span, each with a voice of its language
+        for (const span of splitLanguageSpans(test.text, detected.language)) {
+            console.log(`  [${span.language}] ${speechService.selectVoice(span.language, 'female')}: "${span.text}"`);
+        }
     }
 }
 